@@ -0,0 +1,124 @@
+// Registry of bot commands. Each command declares:
+//   name, aliases     - "/stats", "/analytics"
+//   args              - [{ name, required, choices, default, rest }], parsed from the words after the command
+//   usage, examples   - shown in usage errors and /help <command>. Usage lines are syntax only: [name]
+//                       placeholders are translated from args.<name>, and a line can be { syntax, note }
+//                       where note is a locale key
+//                       (the descriptions for /help are commands.<name>.summary/.details in src/locales)
+//   private           - in groups, reply in the sender's private chat instead
+//   run(ctx, args)    - ctx is { sock, msg, jid, senderJid, isGroup, phoneNumber, username, text, quotedText, locale, reply, replyPrivately }
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map()
+        this.aliases = new Map()
+    }
+
+    register(command) {
+        for (const name of [command.name, ...(command.aliases || [])]) {
+            if (this.commands.has(name) || this.aliases.has(name)) {
+                throw new Error(`Command name "/${name}" is registered twice`)
+            }
+        }
+
+        this.commands.set(command.name, command)
+        for (const alias of command.aliases || []) this.aliases.set(alias, command.name)
+        return this
+    }
+
+    // Command by name or alias, case-insensitive
+    find(name) {
+        const key = name.toLowerCase()
+        return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null
+    }
+
+    list() {
+        return [...this.commands.values()]
+    }
+
+    // "/Stats AbC123" -> { name: 'stats', tokens: ['AbC123'] }, or null if the text isn't a command.
+    // Tokens keep their original case - short codes and aliases are case-sensitive.
+    static parseCommandLine(text) {
+        const match = text.trim().match(/^\/([a-zA-Z][\w-]*)(?:\s+([\s\S]*))?$/)
+        if (!match) return null
+
+        return {
+            name: match[1].toLowerCase(),
+            tokens: (match[2] || '').split(/\s+/).filter(Boolean)
+        }
+    }
+
+    // Map tokens onto the command's argument schema: { args } or { error: { key, vars } },
+    // where key is a message in the locale catalogues
+    static parseArgs(command, tokens) {
+        const args = {}
+        const schema = command.args || []
+
+        for (let i = 0; i < schema.length; i++) {
+            const spec = schema[i]
+
+            if (spec.rest) {
+                args[spec.name] = tokens.slice(i)
+                break
+            }
+
+            let value = tokens[i]
+            if (value === undefined) {
+                if (spec.required) return { error: { key: 'usage.missingArgument', vars: { name: spec.name } } }
+                value = spec.default ?? null
+            } else if (spec.choices) {
+                value = value.toLowerCase()
+                if (!spec.choices.includes(value)) {
+                    return {
+                        error: {
+                            key: 'usage.invalidChoice',
+                            vars: { value: tokens[i], name: spec.name, choices: spec.choices.join(', ') }
+                        }
+                    }
+                }
+            }
+
+            args[spec.name] = value
+        }
+
+        return { args }
+    }
+
+    // Closest command name for a typo, e.g. "stast" -> "stats", or null
+    suggest(name) {
+        const key = name.toLowerCase()
+        let best = null
+        let bestDistance = Infinity
+
+        for (const candidate of [...this.commands.keys(), ...this.aliases.keys()]) {
+            const distance = candidate.startsWith(key) && key.length >= 2 ? 1 : editDistance(key, candidate)
+            if (distance < bestDistance) {
+                best = candidate
+                bestDistance = distance
+            }
+        }
+
+        const allowed = Math.max(1, Math.floor(key.length / 3))
+        return bestDistance <= allowed ? this.find(best).name : null
+    }
+}
+
+// Edit distance between two strings, counting a swap of neighbouring letters ("stast") as one edit
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i])
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost)
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1)
+            }
+        }
+    }
+
+    return rows[a.length][b.length]
+}
+
+module.exports = CommandRegistry
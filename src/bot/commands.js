@@ -0,0 +1,473 @@
+const urlRegex = require('url-regex')
+const LinkService = require('../services/linkService')
+const ExportService = require('../services/exportService')
+const ApiKeyService = require('../services/apiKeyService')
+const QrService = require('../services/qrService')
+const GroupService = require('../services/groupService')
+const LocaleService = require('../services/localeService')
+const CommandRegistry = require('./commandRegistry')
+const Replies = require('./replies')
+
+const DURATION_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+}
+
+// Parse an expiry such as "7d", "12h" or "2026-12-31" into a future Date
+function parseExpiry(value) {
+    if (!value) return null
+
+    const duration = value.match(/^(\d+)([mhdw])$/i)
+    if (duration) {
+        return new Date(Date.now() + Number(duration[1]) * DURATION_UNITS[duration[2].toLowerCase()])
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}/.test(value)) return null
+    const date = new Date(value)
+    return !isNaN(date) && date > new Date() ? date : null
+}
+
+// Parse "source/medium/campaign" UTM tags; medium and campaign are optional
+function parseUtmTags(value) {
+    const [source, medium, campaign, ...extra] = (value || '').split('/')
+
+    if (!source || extra.length || [source, medium, campaign].some(tag => tag && tag.length > 100)) {
+        throw LocaleService.error('errors.invalidUtmTags')
+    }
+
+    return { source, medium: medium || null, campaign: campaign || null }
+}
+
+// UTM preset names are case-insensitive and stored lowercase
+function parsePresetName(value) {
+    const name = (value || '').toLowerCase()
+    if (!/^[a-z0-9_-]{1,30}$/.test(name)) {
+        throw LocaleService.error('errors.invalidPresetName')
+    }
+    return name
+}
+
+// Parse trailing link options, e.g. ["expires", "7d", "max", "100", "utm=newsletter/email/oct-launch"]
+function parseLinkOptions(args) {
+    const options = {}
+
+    for (let i = 0; i < args.length; i++) {
+        const option = args[i]
+        const key = option.toLowerCase()
+
+        if (key.startsWith('utm=')) {
+            // utm=source/medium/campaign, or utm=<preset> for a saved preset
+            const utm = option.slice('utm='.length)
+            if (utm.includes('/')) options.utm = parseUtmTags(utm)
+            else options.utmPreset = parsePresetName(utm)
+            continue
+        }
+
+        // The remaining options take their value from the next word
+        const value = args[++i]
+
+        if (key === 'expires') {
+            options.expiresAt = parseExpiry(value)
+            if (!options.expiresAt) {
+                throw LocaleService.error('errors.invalidExpiry')
+            }
+        } else if (key === 'max') {
+            const maxClicks = Number(value)
+            if (!Number.isInteger(maxClicks) || maxClicks < 1) {
+                throw LocaleService.error('errors.invalidClickLimit')
+            }
+            options.maxClicks = maxClicks
+        } else if (key === 'password') {
+            if (!value || value.length < 4) {
+                throw LocaleService.error('errors.passwordTooShort')
+            }
+            options.password = value
+        } else {
+            throw LocaleService.error('errors.unknownOption', { option })
+        }
+    }
+
+    return options
+}
+
+const registry = new CommandRegistry()
+
+// Shared by /shorten and /alias
+async function createLink(ctx, url, options, alias = null) {
+    const linkOptions = parseLinkOptions(options)
+    if (alias) linkOptions.customCode = alias
+
+    const shortenedLink = await LinkService.shortenUrl(url, ctx.phoneNumber, ctx.username, ctx.username, linkOptions)
+
+    // Show the destination as stored, including any UTM tags
+    await ctx.reply(Replies.linkCreated(ctx.locale, shortenedLink, shortenedLink.original_url))
+}
+
+// Shorten every distinct URL in a message, each with its own security check
+async function shortenMessageUrls(ctx, text, options = {}) {
+    const uniqueUrls = [...new Set(text.match(urlRegex()) || [])]
+    const shortUrls = new Map()
+    const results = []
+
+    for (const originalUrl of uniqueUrls) {
+        console.log(`🔗 URL detected: ${originalUrl}`)
+        try {
+            const shortenedLink = await LinkService.shortenUrl(
+                originalUrl, 
+                ctx.phoneNumber, 
+                ctx.username, 
+                ctx.username,
+                options
+            )
+            shortUrls.set(originalUrl, shortenedLink.short_url)
+            results.push({ originalUrl, shortenedLink })
+        } catch (error) {
+            results.push({ originalUrl, error })
+        }
+    }
+
+    if (results.length === 1) {
+        const [{ originalUrl, shortenedLink, error }] = results
+        await ctx.reply(shortenedLink
+            ? Replies.linkCreated(ctx.locale, shortenedLink, originalUrl)
+            : Replies.error(ctx.locale, error) || Replies.shortenFailed(ctx.locale))
+        return
+    }
+
+    await ctx.reply(Replies.linksShortened(ctx.locale, results, shortUrls.size))
+
+    // Send the original message back with every URL replaced
+    const rewrittenText = text.replace(urlRegex(), url => shortUrls.get(url) || url)
+    if (shortUrls.size > 0 && rewrittenText.replace(urlRegex(), '').trim()) {
+        await ctx.reply(rewrittenText)
+    }
+}
+
+registry.register({
+    name: 'shorten',
+    aliases: ['short'],
+    args: [{ name: 'url' }, { name: 'options', rest: true }],
+    usage: [
+        '/shorten [url] expires [time] max [clicks] password [secret] utm=[tags]',
+        { syntax: '/short', note: 'usage.asReply' }
+    ],
+    examples: ['/shorten https://example.com expires 7d max 100 utm=newsletter/email/oct-launch'],
+    run: async (ctx, { url, options }) => {
+        // As a reply, the links come from the quoted message and every word is an option
+        if (!(url && urlRegex({ exact: true }).test(url)) && urlRegex().test(ctx.quotedText)) {
+            const words = url ? [url, ...options] : options
+            await shortenMessageUrls(ctx, ctx.quotedText, parseLinkOptions(words))
+            return
+        }
+
+        if (!url) {
+            await ctx.reply(Replies.usage(ctx.locale, registry.find('shorten')))
+            return
+        }
+
+        await createLink(ctx, url, options)
+    }
+})
+
+registry.register({
+    name: 'alias',
+    args: [{ name: 'url', required: true }, { name: 'name', required: true }, { name: 'options', rest: true }],
+    usage: ['/alias [url] [name]'],
+    examples: ['/alias https://example.com/october-sale promo-oct'],
+    run: (ctx, { url, name, options }) => createLink(ctx, url, options, name)
+})
+
+registry.register({
+    name: 'stats',
+    aliases: ['analytics'],
+    args: [{ name: 'code', required: true }],
+    usage: ['/stats [code]'],
+    examples: ['/stats promo-oct'],
+    run: async (ctx, { code }) => {
+        const stats = await LinkService.getLinkStats(code)
+
+        if (!stats) {
+            await ctx.reply(Replies.linkNotFound(ctx.locale))
+            return
+        }
+
+        if (!LinkService.canViewStats(stats, ctx.phoneNumber)) {
+            await ctx.reply(Replies.statsPrivate(ctx.locale))
+            return
+        }
+
+        // The signed stats link is personal, so it is never posted in a group
+        const showSignedLink = stats.users?.phone_number === ctx.phoneNumber && !ctx.isGroup
+
+        const recentClicks = await LinkService.getRecentDailyClicks(stats.short_code)
+        const dailyCounts = recentClicks ? recentClicks.buckets.map(bucket => bucket.total) : []
+
+        await ctx.reply(Replies.linkStats(ctx.locale, stats, dailyCounts, showSignedLink ? LinkService.createStatsUrl(stats.short_code) : null))
+    }
+})
+
+registry.register({
+    name: 'mylinks',
+    aliases: ['links'],
+    usage: ['/mylinks'],
+    run: async (ctx) => {
+        const userData = await LinkService.getUserLinks(ctx.phoneNumber)
+
+        if (!userData || !userData.shortened_links.length) {
+            await ctx.reply(Replies.noLinks(ctx.locale))
+            return
+        }
+
+        // List menus hold at most 10 rows
+        const links = userData.shortened_links
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+            .slice(0, 10)
+
+        await ctx.reply(Replies.myLinks(ctx.locale, links, userData.total_links_created))
+    }
+})
+
+registry.register({
+    name: 'dashboard',
+    private: true,
+    usage: ['/dashboard'],
+    run: async (ctx) => {
+        await ctx.reply(Replies.dashboardLogin(ctx.locale, LinkService.createDashboardLoginUrl(ctx.phoneNumber)))
+    }
+})
+
+registry.register({
+    name: 'edit',
+    args: [{ name: 'code', required: true }, { name: 'url', required: true }],
+    usage: ['/edit [code] [newUrl]'],
+    examples: ['/edit promo-oct https://example.com/november-sale'],
+    run: async (ctx, { code, url }) => {
+        const link = await LinkService.updateLinkUrl(code, ctx.phoneNumber, url)
+        await ctx.reply(Replies.linkUpdated(ctx.locale, link))
+    }
+})
+
+registry.register({
+    name: 'disable',
+    args: [{ name: 'code', required: true }],
+    usage: ['/disable [code]'],
+    examples: ['/disable promo-oct'],
+    run: async (ctx, { code }) => {
+        const link = await LinkService.setLinkActive(code, ctx.phoneNumber, false)
+        await ctx.reply(Replies.linkDisabled(ctx.locale, link))
+    }
+})
+
+registry.register({
+    name: 'enable',
+    args: [{ name: 'code', required: true }],
+    usage: ['/enable [code]'],
+    examples: ['/enable promo-oct'],
+    run: async (ctx, { code }) => {
+        const link = await LinkService.setLinkActive(code, ctx.phoneNumber, true)
+        await ctx.reply(Replies.linkEnabled(ctx.locale, link))
+    }
+})
+
+registry.register({
+    name: 'delete',
+    args: [{ name: 'code', required: true }, { name: 'confirmation', choices: ['confirm'] }],
+    usage: ['/delete [code]'],
+    examples: ['/delete promo-oct'],
+    run: async (ctx, { code, confirmation }) => {
+        if (confirmation !== 'confirm') {
+            // Check ownership before asking for confirmation
+            const link = await LinkService.getOwnedLink(code, ctx.phoneNumber)
+            await ctx.reply(Replies.confirmDelete(ctx.locale, link))
+            return
+        }
+
+        const link = await LinkService.deleteLink(code, ctx.phoneNumber)
+        await ctx.reply(Replies.linkDeleted(ctx.locale, link))
+    }
+})
+
+registry.register({
+    name: 'publicstats',
+    args: [{ name: 'code', required: true }, { name: 'setting', required: true, choices: ['on', 'off'] }],
+    usage: ['/publicstats [code] on|off'],
+    examples: ['/publicstats promo-oct on'],
+    run: async (ctx, { code, setting }) => {
+        const isPublic = setting === 'on'
+        const link = await LinkService.setPublicStats(code, ctx.phoneNumber, isPublic)
+        await ctx.reply(Replies.publicStatsChanged(ctx.locale, link, isPublic))
+    }
+})
+
+registry.register({
+    name: 'qr',
+    args: [{ name: 'code', required: true }],
+    usage: ['/qr [code]'],
+    examples: ['/qr promo-oct'],
+    run: async (ctx, { code }) => {
+        const link = await LinkService.getLink(code)
+        if (!link) {
+            await ctx.reply(Replies.linkNotFound(ctx.locale))
+            return
+        }
+
+        await ctx.reply({
+            image: await QrService.toPng(link, { width: 1024 }),
+            caption: Replies.qrCaption(ctx.locale, link)
+        })
+    }
+})
+
+registry.register({
+    name: 'export',
+    private: true,
+    args: [{ name: 'code', required: true }],
+    usage: ['/export [code]'],
+    examples: ['/export promo-oct'],
+    run: async (ctx, { code }) => {
+        const link = await LinkService.getOwnedLink(code, ctx.phoneNumber)
+
+        await ctx.reply({
+            document: { stream: ExportService.csvStream(link.id) },
+            mimetype: 'text/csv',
+            fileName: `${link.short_code}-clicks.csv`,
+            caption: Replies.exportCaption(ctx.locale, link)
+        })
+    }
+})
+
+registry.register({
+    name: 'utm',
+    args: [{ name: 'action', choices: ['save', 'list', 'delete'], default: 'list' }, { name: 'name' }, { name: 'tags' }],
+    usage: ['/utm save [name] [tags]', '/utm list', '/utm delete [name]'],
+    examples: ['/utm save news newsletter/email/oct-launch'],
+    run: async (ctx, { action, name, tags }) => {
+        if (action === 'save' && name && tags) {
+            const utm = parseUtmTags(tags)
+            const preset = await LinkService.saveUtmPreset(ctx.phoneNumber, parsePresetName(name), utm, ctx.username)
+            await ctx.reply(Replies.utmPresetSaved(ctx.locale, preset))
+        } else if (action === 'delete' && name) {
+            const presetName = parsePresetName(name)
+            const deleted = await LinkService.deleteUtmPreset(ctx.phoneNumber, presetName)
+            await ctx.reply(Replies.utmPresetDeleted(ctx.locale, presetName, deleted))
+        } else if (action === 'list') {
+            const presets = await LinkService.listUtmPresets(ctx.phoneNumber)
+            await ctx.reply(Replies.utmPresets(ctx.locale, presets))
+        } else {
+            await ctx.reply(Replies.usage(ctx.locale, registry.find('utm')))
+        }
+    }
+})
+
+registry.register({
+    name: 'apikey',
+    aliases: ['apikeys'],
+    private: true,
+    args: [{ name: 'action', choices: ['new', 'list', 'revoke'], default: 'list' }, { name: 'value', rest: true }],
+    usage: ['/apikey new [name]', '/apikey list', '/apikey revoke [prefix]'],
+    examples: ['/apikey new ci-server'],
+    run: async (ctx, { action, value }) => {
+        if (action === 'new') {
+            const name = value.join(' ').slice(0, 50) || null
+            const { key, record } = await ApiKeyService.createKey(ctx.phoneNumber, name, ctx.username)
+            await ctx.reply(Replies.apiKeyCreated(ctx.locale, key, record))
+        } else if (action === 'revoke' && value[0]) {
+            const revoked = await ApiKeyService.revokeKey(ctx.phoneNumber, value[0])
+            await ctx.reply(Replies.apiKeyRevoked(ctx.locale, value[0], revoked))
+        } else if (action === 'list') {
+            const keys = await ApiKeyService.listKeys(ctx.phoneNumber)
+            await ctx.reply(Replies.apiKeys(ctx.locale, keys))
+        } else {
+            await ctx.reply(Replies.usage(ctx.locale, registry.find('apikey')))
+        }
+    }
+})
+
+registry.register({
+    name: 'autoshorten',
+    args: [{ name: 'setting', choices: ['on', 'off'] }],
+    usage: ['/autoshorten on|off'],
+    examples: ['/autoshorten on'],
+    run: async (ctx, { setting }) => {
+        if (!ctx.isGroup) {
+            await ctx.reply(Replies.autoShortenGroupsOnly(ctx.locale))
+            return
+        }
+
+        if (!setting) {
+            const enabled = await GroupService.isAutoShortenEnabled(ctx.jid)
+            await ctx.reply(Replies.autoShortenStatus(ctx.locale, enabled))
+            return
+        }
+
+        if (!(await GroupService.isGroupAdmin(ctx.sock, ctx.jid, ctx.senderJid))) {
+            await ctx.reply(Replies.autoShortenAdminsOnly(ctx.locale))
+            return
+        }
+
+        const enabled = setting === 'on'
+        await GroupService.setAutoShorten(ctx.jid, enabled, ctx.phoneNumber)
+        await ctx.reply(Replies.autoShortenChanged(ctx.locale, enabled))
+    }
+})
+
+registry.register({
+    name: 'lang',
+    aliases: ['language'],
+    args: [{ name: 'language', choices: [...LocaleService.LOCALES, 'auto'] }],
+    usage: ['/lang en|pt|fr|auto'],
+    examples: ['/lang pt'],
+    run: async (ctx, { language }) => {
+        if (!language) {
+            const saved = await LocaleService.getSavedLocale(ctx.phoneNumber)
+            await ctx.reply(Replies.currentLanguage(ctx.locale, !saved))
+            return
+        }
+
+        const user = await LinkService.createOrGetUser(ctx.phoneNumber, ctx.username, ctx.username)
+        if (!user) throw new Error('Failed to create user')
+
+        // Confirm in the new language
+        const automatic = language === 'auto'
+        const locale = await LocaleService.setUserLocale(user, automatic ? null : language)
+        await ctx.reply(Replies.languageChanged(locale, automatic))
+    }
+})
+
+registry.register({
+    name: 'help',
+    aliases: ['commands'],
+    args: [{ name: 'command' }],
+    usage: ['/help', '/help [command]'],
+    examples: ['/help shorten'],
+    run: async (ctx, { command }) => {
+        if (command) {
+            const name = command.replace(/^\//, '')
+            const found = registry.find(name)
+
+            if (!found) {
+                const suggestion = registry.suggest(name)
+                await ctx.reply(Replies.unknownHelpTopic(ctx.locale, name, suggestion))
+                return
+            }
+
+            await ctx.reply(Replies.commandHelp(ctx.locale, found))
+            return
+        }
+
+        await ctx.reply(Replies.help(ctx.locale, registry.list()))
+    }
+})
+
+registry.register({
+    name: 'start',
+    usage: ['/start'],
+    run: (ctx) => ctx.reply(Replies.welcome(ctx.locale))
+})
+
+module.exports = {
+    registry,
+    shortenMessageUrls
+}
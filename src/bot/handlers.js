@@ -1,5 +1,65 @@
-const LinkService = require('../services/linkService')
 const urlRegex = require('url-regex')
+const GroupService = require('../services/groupService')
+const LocaleService = require('../services/localeService')
+const CommandRegistry = require('./commandRegistry')
+const Replies = require('./replies')
+const { registry, shortenMessageUrls } = require('./commands')
+const { extractText, extractQuotedText, getContextInfo } = require('./messageText')
+const { isUserFacingError } = require('../utils/errors')
+
+// Whether the bot's own account is @mentioned in the message
+function mentionsBot(sock, msg) {
+    const mentioned = getContextInfo(msg.message)?.mentionedJid || []
+    return mentioned.some(jid => GroupService.isSameUser(jid, sock.user?.id) || GroupService.isSameUser(jid, sock.user?.lid))
+}
+
+// Plain greetings get the welcome message - whole words only, so "this" or "white" don't count
+const GREETING = /^(hi|hello|hey|start)\b/i
+
+// Run a "/command args" message through the registry
+async function runCommand(ctx, parsed) {
+    const command = registry.find(parsed.name)
+
+    if (!command) {
+        const suggestion = registry.suggest(parsed.name)
+        await ctx.reply(Replies.unknownCommand(ctx.locale, parsed.name, suggestion))
+        return
+    }
+
+    const { args, error } = CommandRegistry.parseArgs(command, parsed.tokens)
+    if (error) {
+        await ctx.reply(Replies.usageError(ctx.locale, error, command))
+        return
+    }
+
+    console.log(`⚙️ Command /${command.name} from ${ctx.phoneNumber}${ctx.isGroup ? ` in ${ctx.jid}` : ''}`)
+
+    // Login links, API keys and exports are only ever sent to the sender's private chat
+    if (command.private && ctx.isGroup) {
+        await ctx.reply(Replies.sentPrivately(ctx.locale, command.name))
+        ctx = { ...ctx, reply: ctx.replyPrivately }
+    }
+
+    try {
+        await command.run(ctx, args)
+    } catch (error) {
+        // Service errors such as "🚫 You can only manage links that you created." go straight back
+        if (!isUserFacingError(error)) throw error
+        await ctx.reply(Replies.error(ctx.locale, error))
+    }
+}
+
+// Send a reply (string, interactive reply or media). When interactive replies are
+// enabled and WhatsApp rejects buttons or a list menu, the reply goes out again as plain text.
+async function sendReply(sock, jid, reply, locale, options) {
+    try {
+        return await sock.sendMessage(jid, Replies.toContent(reply, locale), options)
+    } catch (error) {
+        if (!Replies.isInteractive(reply)) throw error
+        console.warn('⚠️ Interactive reply failed, sending plain text instead:', error.message)
+        return sock.sendMessage(jid, { text: Replies.toPlainText(reply, locale) }, options)
+    }
+}
 
 function handleMessage(sock) {
     return async (m) => {
@@ -13,185 +73,69 @@ function handleMessage(sock) {
         // Only process new messages (not old ones)
         if (m.type !== 'notify') return
 
-        const text = msg.message?.conversation || 
-                    msg.message?.extendedTextMessage?.text || ''
+        // Captions, button and list replies count as text too
+        const text = extractText(msg.message)
         
         const jid = msg.key.remoteJid
-        const phoneNumber = jid.split('@')[0].replace(/\D/g, '')
+        const isGroup = GroupService.isGroupJid(jid)
+        // In groups remoteJid is the group - the sender is the participant.
+        // participantPn carries the phone number when the group uses anonymous (LID) ids.
+        const senderJid = isGroup ? (msg.key.participantPn || msg.key.participant) : jid
+        if (!senderJid) return
+
+        const phoneNumber = GroupService.userPart(senderJid).replace(/\D/g, '')
         const username = msg.pushName || null
+        const mentioned = isGroup && mentionsBot(sock, msg)
+        const locale = await LocaleService.getUserLocale(phoneNumber)
         
-        console.log(`📨 From: ${phoneNumber} (${username})`)
+        console.log(`📨 From: ${phoneNumber} (${username})${isGroup ? ` in group ${jid}` : ''}`)
         console.log(`📝 Message: ${text}`)
 
-        try {
-            // Check if message contains a URL
-            const urls = text.match(urlRegex())
-            
-            if (urls && urls.length > 0) {
-                const originalUrl = urls[0]
-                console.log(`🔗 URL detected: ${originalUrl}`)
-                
-                // Shorten the URL
-                const shortenedLink = await LinkService.shortenUrl(
-                    originalUrl, 
-                    phoneNumber, 
-                    username, 
-                    username
-                )
-                
-                if (shortenedLink) {
-                    const response = `✅ *Link Shortened Successfully!*
-
-🔗 *Short URL:* ${shortenedLink.short_url}
-📋 *Original:* ${originalUrl}
-📊 *Code:* ${shortenedLink.short_code}
-
-*Features:*
-• 📈 Click tracking enabled
-• 📱 Device & browser analytics
-• 🔄 Real-time statistics
-
-*Commands:*
-• Send */stats ${shortenedLink.short_code}* for detailed analytics
-• Send */mylinks* to see all your links
-• Send */help* for more commands`
-
-                    await sock.sendMessage(jid, { text: response })
-                } else {
-                    await sock.sendMessage(jid, { 
-                        text: '❌ Sorry, I couldn\'t shorten that URL. Please make sure it\'s a valid link.' 
-                    })
-                }
-                
-                return // Don't process other commands if URL was found
-            }
+        const ctx = {
+            sock,
+            msg,
+            jid,
+            senderJid,
+            isGroup,
+            phoneNumber,
+            username,
+            // Mentions ("@5511999999999") are not part of what the user asked for
+            text: mentioned ? text.replace(/@\d+/g, '').trim() : text,
+            // Text of the message this one replies to, used by /short
+            quotedText: extractQuotedText(msg.message),
+            locale,
+            // Replies in groups quote the message they answer
+            reply: (reply) => sendReply(sock, jid, reply, locale, isGroup ? { quoted: msg } : undefined),
+            replyPrivately: (reply) => sendReply(sock, senderJid, reply, locale)
+        }
 
-            // Command handling
-            const command = text.toLowerCase().trim()
-            
-            if (command.startsWith('/stats ')) {
-                const shortCode = command.replace('/stats ', '').trim()
-                const stats = await LinkService.getLinkStats(shortCode)
-                
-                if (!stats) {
-                    await sock.sendMessage(jid, { 
-                        text: '❌ Link not found. Please check the code and try again.' 
-                    })
-                    return
-                }
-                
-                const deviceStats = Object.entries(stats.deviceBreakdown)
-                    .map(([device, count]) => `${device}: ${count}`)
-                    .join(' | ')
-                
-                const browserStats = Object.entries(stats.browserBreakdown)
-                    .map(([browser, count]) => `${browser}: ${count}`)
-                    .slice(0, 3)
-                    .join(' | ')
-                
-                const response = `📊 *Link Analytics*
-
-🔗 *Short URL:* ${stats.short_url}
-📈 *Total Clicks:* ${stats.total_clicks}
-👥 *Unique Clicks:* ${stats.unique_clicks}
-📅 *Today's Clicks:* ${stats.todayClicks}
-
-*Device Breakdown:*
-${deviceStats || 'No clicks yet'}
-
-*Top Browsers:*
-${browserStats || 'No clicks yet'}
-
-*Created:* ${new Date(stats.created_at).toLocaleDateString()}
-
-View detailed stats: ${process.env.SHORT_DOMAIN || 'http://localhost:3000'}/api/stats/${shortCode}`
-
-                await sock.sendMessage(jid, { text: response })
-            }
-            
-            else if (command === '/mylinks') {
-                const userData = await LinkService.getUserLinks(phoneNumber)
-                
-                if (!userData || !userData.shortened_links.length) {
-                    await sock.sendMessage(jid, { 
-                        text: '📝 You haven\'t created any short links yet. Send me a URL to get started!' 
-                    })
-                    return
-                }
-                
-                const links = userData.shortened_links
-                    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
-                    .slice(0, 5)
-                    .map((link, index) => 
-                        `${index + 1}. ${link.short_url}\n   📊 ${link.total_clicks} clicks | Created: ${new Date(link.created_at).toLocaleDateString()}`
-                    )
-                    .join('\n\n')
-                
-                const response = `🔗 *Your Recent Short Links*
-
-${links}
-
-*Total Links Created:* ${userData.total_links_created}
-
-_Showing latest 5 links. Send /stats [code] for detailed analytics._`
-
-                await sock.sendMessage(jid, { text: response })
+        try {
+            // Commands take priority, including ones that carry a URL like /shorten
+            // In groups, "/something" that isn't a command is treated like any other message
+            // unless it mentions me, so paths or other bots' commands don't get an "unknown command" reply
+            const parsed = CommandRegistry.parseCommandLine(ctx.text)
+            if (parsed && (!isGroup || mentioned || registry.find(parsed.name))) {
+                await runCommand(ctx, parsed)
+                return
             }
-            
-            else if (command === '/help') {
-                const response = `🤖 *WhatsApp Link Shortener Bot*
-
-*How to use:*
-📎 Send any URL and I'll shorten it automatically
-
-*Commands:*
-• */stats [code]* - Get detailed analytics
-• */mylinks* - View your recent links  
-• */help* - Show this help message
 
-*Features:*
-• 🔗 Instant URL shortening
-• 📊 Click tracking & analytics
-• 📱 Device & browser detection
-• 👥 Unique visitor counting
-• 📈 Real-time statistics
+            // In groups, everything else needs a mention - or auto-shortening turned on for URLs
+            const hasUrls = urlRegex().test(ctx.text)
+            if (isGroup && !mentioned && !(hasUrls && await GroupService.isAutoShortenEnabled(jid))) return
 
-*Example:*
-Just send: https://example.com/very-long-url
-Get: ${process.env.SHORT_DOMAIN || 'http://localhost:3000'}/abc123
-
-_Made with ❤️ for easy link sharing_`
-
-                await sock.sendMessage(jid, { text: response })
+            if (hasUrls) {
+                await shortenMessageUrls(ctx, ctx.text)
+                return
             }
-            
-            // Welcome message for first-time users or simple greetings
-            else if (command.includes('hi') || command.includes('hello') || command.includes('start')) {
-                const response = `👋 *Welcome to Link Shortener Bot!*
-
-I help you create short, trackable links from long URLs.
-
-*Quick Start:*
-📎 Just send me any URL and I'll shorten it instantly!
 
-*Example:*
-Send: https://example.com/very-long-url
-Get: Short link with click tracking
-
-Send */help* to see all available commands.`
-
-                await sock.sendMessage(jid, { text: response })
+            if (mentioned || GREETING.test(ctx.text.trim())) {
+                await ctx.reply(Replies.welcome(locale))
             }
-            
         } catch (error) {
             console.error('❌ Error processing message:', error)
-            await sock.sendMessage(jid, { 
-                text: '❌ Sorry, something went wrong. Please try again or contact support.' 
-            })
+            await sock.sendMessage(jid, { text: Replies.somethingWentWrong(locale) })
         }
     }
 }
 
 module.exports = { handleMessage }
-
-module.exports = { handleMessage }
\ No newline at end of file
@@ -0,0 +1,74 @@
+// Baileys wraps some messages in another message (disappearing, view once, documents with captions)
+const WRAPPERS = [
+    'ephemeralMessage',
+    'viewOnceMessage',
+    'viewOnceMessageV2',
+    'viewOnceMessageV2Extension',
+    'documentWithCaptionMessage',
+    'editedMessage'
+]
+
+// Where each message type keeps its text, in order of preference.
+// Button and list replies prefer the id of the chosen option over its label.
+const TEXT_FIELDS = {
+    conversation: (content) => content,
+    extendedTextMessage: (content) => content.text,
+    imageMessage: (content) => content.caption,
+    videoMessage: (content) => content.caption,
+    documentMessage: (content) => content.caption,
+    buttonsResponseMessage: (content) => content.selectedButtonId || content.selectedDisplayText,
+    listResponseMessage: (content) => content.singleSelectReply?.selectedRowId || content.title,
+    templateButtonReplyMessage: (content) => content.selectedId || content.selectedDisplayText,
+    interactiveResponseMessage: (content) => interactiveResponseId(content) || content.body?.text
+}
+
+// Strip wrapper messages until we reach the one with the content
+function unwrapMessage(message) {
+    let current = message
+    for (let depth = 0; current && depth < 5; depth++) {
+        const wrapper = WRAPPERS.find(key => current[key]?.message)
+        if (!wrapper) break
+        current = current[wrapper].message
+    }
+    return current || null
+}
+
+// Text of any message type that carries some, or '' for stickers, audio, reactions...
+function extractText(message) {
+    const content = unwrapMessage(message)
+    if (!content) return ''
+
+    for (const [type, getText] of Object.entries(TEXT_FIELDS)) {
+        if (!content[type]) continue
+        const text = getText(content[type])
+        if (typeof text === 'string' && text) return text
+    }
+    return ''
+}
+
+// contextInfo (mentions, quoted message, forwarding) of whichever type the message is
+function getContextInfo(message) {
+    const content = unwrapMessage(message)
+    if (!content) return null
+
+    for (const value of Object.values(content)) {
+        if (value?.contextInfo) return value.contextInfo
+    }
+    return null
+}
+
+// Text of the message being replied to, or '' when the message isn't a reply
+function extractQuotedText(message) {
+    return extractText(getContextInfo(message)?.quotedMessage)
+}
+
+// Native flow replies send their button id as JSON: { "id": "/stats abc123" }
+function interactiveResponseId(content) {
+    try {
+        return JSON.parse(content.nativeFlowResponseMessage?.paramsJson || '{}').id
+    } catch {
+        return null
+    }
+}
+
+module.exports = { unwrapMessage, extractText, getContextInfo, extractQuotedText }
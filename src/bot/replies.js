@@ -0,0 +1,500 @@
+const LocaleService = require('../services/localeService')
+
+const shortDomain = () => process.env.SHORT_DOMAIN || 'http://localhost:3000'
+
+// Buttons and list menus are opt-in: Baileys 6.7 sends them as a plain text message and
+// silently drops the buttons and rows, so by default replies go out as plain text
+const interactiveEnabled = () => process.env.INTERACTIVE_REPLIES === 'true'
+
+// Describe a link's expiry limits, or an empty string if it has none
+function describeLimits(locale, link) {
+    const t = (key, vars) => LocaleService.t(locale, key, vars)
+    const limits = []
+    if (link.expires_at) limits.push(t('link.expires', { date: LocaleService.formatDateTime(locale, link.expires_at) }))
+    if (link.max_clicks) limits.push(t('link.clickLimit', { count: link.max_clicks }))
+    if (link.password_hash) limits.push(t('link.passwordProtected'))
+    return limits.join('\n')
+}
+
+// "newsletter / email / oct-launch", with - for missing tags
+function describeUtm(source, medium, campaign) {
+    return [source, medium, campaign].map(tag => tag || '-').join(' / ')
+}
+
+// Unicode sparkline for a series of counts, e.g. [0, 2, 5, 1] -> ▁▄█▂
+function sparkline(values) {
+    const bars = '▁▂▃▄▅▆▇█'
+    const max = Math.max(...values)
+    return values.map(value => bars[max ? Math.round((value / max) * (bars.length - 1)) : 0]).join('')
+}
+
+// Flag emoji for an ISO country code, e.g. "BR" -> 🇧🇷
+function countryFlag(countryCode) {
+    if (!/^[A-Z]{2}$/.test(countryCode)) return '🌍'
+    return String.fromCodePoint(...[...countryCode].map(char => 0x1F1E6 + char.charCodeAt(0) - 65))
+}
+
+// Every message the bot sends, in the user's language (texts live in src/locales).
+// Templates take the locale first and return either a string or an interactive reply:
+//   { text, footer, buttons: [{ id, label }] }                  - quick-reply buttons
+//   { text, footer, list: { buttonText, title, rows: [{ id, title, description }] } } - list menu
+// Button and row ids are the command to run when the option is picked, e.g. "/stats abc123".
+class Replies {
+    static isInteractive(reply) {
+        return Boolean(reply?.buttons || reply?.list)
+    }
+
+    // Baileys message content for a reply: plain strings become text, media passes through
+    static toContent(reply, locale) {
+        if (typeof reply === 'string') return { text: reply }
+        if (!this.isInteractive(reply)) return reply
+        if (!interactiveEnabled()) return { text: this.toPlainText(reply, locale) }
+        return this.toInteractiveContent(reply, locale)
+    }
+
+    // The text still spells out every option as a command, for clients that don't show buttons
+    static toInteractiveContent(reply, locale) {
+        const text = this.toPlainText({ ...reply, footer: undefined }, locale)
+
+        if (reply.buttons) {
+            return {
+                text,
+                footer: reply.footer,
+                buttons: reply.buttons.map(button => ({
+                    buttonId: button.id,
+                    buttonText: { displayText: button.label },
+                    type: 1
+                })),
+                headerType: 1
+            }
+        }
+
+        return {
+            text,
+            footer: reply.footer,
+            title: reply.list.title,
+            buttonText: reply.list.buttonText,
+            sections: [{
+                title: reply.list.title,
+                rows: reply.list.rows.map(row => ({ title: row.title, rowId: row.id, description: row.description }))
+            }]
+        }
+    }
+
+    // The same reply as plain text, with the options spelled out as commands to type
+    static toPlainText(reply, locale) {
+        if (typeof reply === 'string') return reply
+
+        const parts = [reply.text]
+
+        if (reply.list) {
+            parts.push(reply.list.rows
+                .map((row, index) => `${index + 1}. ${row.title}${row.description ? `\n   ${row.description}` : ''}\n   ↳ *${row.id}*`)
+                .join('\n\n'))
+        }
+
+        // Commands the text already mentions, like "/delete abc123 confirm", aren't repeated
+        const buttons = reply.buttons?.filter(button => !reply.text.includes(button.id))
+        if (buttons?.length) {
+            const actions = buttons
+                .map(button => `• ${button.label}: ${LocaleService.t(locale, 'interactive.send', { command: button.id })}`)
+                .join('\n')
+            parts.push(`${LocaleService.t(locale, 'interactive.quickActions')}\n${actions}`)
+        }
+
+        if (reply.footer) parts.push(`_${reply.footer}_`)
+
+        return parts.join('\n\n')
+    }
+
+    static welcome(locale) {
+        return LocaleService.t(locale, 'welcome')
+    }
+
+    static help(locale, commands) {
+        const commandList = commands
+            .map(entry => `• *${this.usageSyntax(locale, entry.usage[0])}* - ${this.commandSummary(locale, entry)}`)
+            .join('\n')
+
+        return LocaleService.t(locale, 'help', { commands: commandList, shortDomain: shortDomain() })
+    }
+
+    static commandSummary(locale, command) {
+        return LocaleService.t(locale, `commands.${command.name}.summary`)
+    }
+
+    // Details for /help <command>
+    static commandHelp(locale, command) {
+        const lines = [
+            `📖 ${this.usageLines(locale, command)}`,
+            '',
+            this.commandSummary(locale, command)
+        ]
+
+        const detailsKey = `commands.${command.name}.details`
+        if (LocaleService.has(detailsKey)) lines.push('', LocaleService.t(locale, detailsKey))
+        if (command.aliases?.length) {
+            lines.push('', LocaleService.t(locale, 'help.aliases', { aliases: command.aliases.map(alias => `/${alias}`).join(', ') }))
+        }
+        if (command.examples?.length) lines.push('', LocaleService.t(locale, 'help.example'), ...command.examples)
+
+        return lines.join('\n')
+    }
+
+    // "*/utm list* or */utm delete [name]*", with the [placeholders] and notes in the user's language
+    static usageLines(locale, command) {
+        return command.usage
+            .map(entry => {
+                const { syntax, note } = typeof entry === 'string' ? { syntax: entry } : entry
+                const line = `*${this.usageSyntax(locale, syntax)}*`
+                return note ? `${line} ${LocaleService.t(locale, note)}` : line
+            })
+            .join(LocaleService.t(locale, 'usage.separator'))
+    }
+
+    // "/alias [url] [name]" -> "/alias [url] [nome]"
+    static usageSyntax(locale, syntax) {
+        return syntax.replace(/\[(\w+)\]/g, (match, name) => `[${this.argumentName(locale, name)}]`)
+    }
+
+    static argumentName(locale, name) {
+        const key = `args.${name}`
+        return LocaleService.has(key) ? LocaleService.t(locale, key) : name
+    }
+
+    // "❌ Usage: */utm list* or */utm delete [name]*" plus the first example
+    static usage(locale, command) {
+        const lines = [LocaleService.t(locale, 'usage', { usage: this.usageLines(locale, command) })]
+        if (command.examples?.length) lines.push(LocaleService.t(locale, 'usage.example', { example: command.examples[0] }))
+        return lines.join('\n')
+    }
+
+    // error is { key, vars } from CommandRegistry.parseArgs()
+    static usageError(locale, error, command) {
+        const vars = { ...error.vars, name: this.argumentName(locale, error.vars.name) }
+        return `${LocaleService.t(locale, error.key, vars)}\n\n${this.usage(locale, command).replace(/^❌ /, '')}`
+    }
+
+    static unknownCommand(locale, name, suggestion) {
+        return LocaleService.t(locale, 'command.unknown', {
+            name,
+            suggestion: suggestion ? LocaleService.t(locale, 'command.unknownSuggestion', { name: suggestion }) : ''
+        })
+    }
+
+    static unknownHelpTopic(locale, name, suggestion) {
+        return LocaleService.t(locale, 'help.unknownTopic', {
+            name,
+            suggestion: suggestion ? LocaleService.t(locale, 'help.unknownTopicSuggestion', { name: suggestion }) : ''
+        })
+    }
+
+    static sentPrivately(locale, name) {
+        return LocaleService.t(locale, 'command.sentPrivately', { name })
+    }
+
+    static somethingWentWrong(locale) {
+        return LocaleService.t(locale, 'error.generic')
+    }
+
+    // A user-facing error from a service or option parsing, in the user's language
+    static error(locale, error) {
+        return LocaleService.errorMessage(locale, error)
+    }
+
+    static linkNotFound(locale) {
+        return LocaleService.t(locale, 'errors.linkNotFound')
+    }
+
+    // After shortening: the link, with Stats / QR / Disable as quick replies
+    static linkCreated(locale, link, originalUrl) {
+        const limits = describeLimits(locale, link)
+
+        return {
+            text: LocaleService.t(locale, 'link.created', {
+                shortUrl: link.short_url,
+                originalUrl,
+                code: link.short_code,
+                limits: limits ? `\n${limits}` : ''
+            }),
+            footer: LocaleService.t(locale, 'link.createdFooter'),
+            buttons: [
+                { id: `/stats ${link.short_code}`, label: LocaleService.t(locale, 'button.stats') },
+                { id: `/qr ${link.short_code}`, label: LocaleService.t(locale, 'button.qr') },
+                { id: `/disable ${link.short_code}`, label: LocaleService.t(locale, 'button.disable') }
+            ]
+        }
+    }
+
+    static shortenFailed(locale) {
+        return LocaleService.t(locale, 'error.shortenFailed')
+    }
+
+    // Several URLs from one message: [{ originalUrl, shortenedLink, error }]
+    static linksShortened(locale, results, shortenedCount) {
+        const lines = results.map(({ originalUrl, shortenedLink, error }, index) =>
+            shortenedLink
+                ? `${index + 1}. ${originalUrl}\n   → ${shortenedLink.short_url}`
+                : `${index + 1}. ${originalUrl}\n   ${this.error(locale, error)}`
+        )
+
+        return LocaleService.t(locale, 'link.batchShortened', {
+            shortened: shortenedCount,
+            total: results.length,
+            lines: lines.join('\n\n')
+        })
+    }
+
+    static statsPrivate(locale) {
+        return LocaleService.t(locale, 'stats.private')
+    }
+
+    // /stats: stats from LinkService.getLinkStats, dailyCounts for the last 7 days.
+    // statsUrl is a signed link for the owner in a private chat, null otherwise.
+    static linkStats(locale, stats, dailyCounts, statsUrl) {
+        const t = (key, vars) => LocaleService.t(locale, key, vars)
+        const weekTotal = dailyCounts.reduce((sum, count) => sum + count, 0)
+
+        const deviceStats = Object.entries(stats.deviceBreakdown)
+            .map(([device, count]) => `${device}: ${count}`)
+            .join(' | ')
+
+        const browserStats = Object.entries(stats.browserBreakdown)
+            .sort(([, a], [, b]) => b - a)
+            .map(([browser, count]) => `${browser}: ${count}`)
+            .slice(0, 3)
+            .join(' | ')
+
+        const osStats = Object.entries(stats.osBreakdown)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 3)
+            .map(([os, count]) => `${os}: ${count}`)
+            .join(' | ')
+
+        const countryStats = Object.entries(stats.countryBreakdown)
+            .slice(0, 5)
+            .map(([country, count]) => `${countryFlag(country)} ${country}: ${count}`)
+            .join(' | ')
+
+        const referrerStats = Object.entries(stats.referrerBreakdown)
+            .slice(0, 5)
+            .map(([referrer, count]) => `${referrer}: ${count}`)
+            .join('\n')
+
+        const campaignStats = Object.entries(stats.campaignBreakdown)
+            .slice(0, 5)
+            .map(([campaign, count]) => `${campaign}: ${count}`)
+            .join('\n')
+
+        const historyStats = stats.urlHistory
+            .slice(0, 3)
+            .map(change => `${LocaleService.formatDate(locale, change.changed_at)}: ${change.previous_url} → ${change.new_url}`)
+            .join('\n')
+
+        const limits = describeLimits(locale, stats)
+
+        const statsLink = statsUrl
+            ? t('stats.visibility', {
+                visibility: t(stats.public_stats ? 'stats.public' : 'stats.privateLabel'),
+                code: stats.short_code,
+                toggle: stats.public_stats ? 'off' : 'on',
+                url: statsUrl
+            })
+            : t('stats.publicLink', { url: `${shortDomain()}/api/stats/${stats.short_code}` })
+
+        return t('stats.report', {
+            shortUrl: stats.short_url,
+            totalClicks: stats.total_clicks,
+            uniqueClicks: stats.unique_clicks,
+            todayClicks: stats.todayClicks,
+            qrClicks: stats.qrClicks,
+            sparkline: sparkline(dailyCounts),
+            weekTotal,
+            botClicks: stats.botClicks,
+            devices: deviceStats || t('stats.noClicks'),
+            browsers: browserStats || t('stats.noClicks'),
+            operatingSystems: osStats || t('stats.noClicks'),
+            countries: countryStats || t('stats.noClicks'),
+            referrers: referrerStats || t('stats.noClicks'),
+            campaigns: campaignStats || t('stats.noTaggedClicks'),
+            created: LocaleService.formatDate(locale, stats.created_at),
+            limits: limits ? `\n${limits}` : '',
+            history: historyStats ? `\n\n${t('stats.history')}\n${historyStats}` : '',
+            statsLink
+        })
+    }
+
+    static noLinks(locale) {
+        return LocaleService.t(locale, 'links.none')
+    }
+
+    // /mylinks: the latest links as a list menu - picking one opens its stats
+    static myLinks(locale, links, totalLinksCreated) {
+        const t = (key, vars) => LocaleService.t(locale, key, vars)
+
+        return {
+            text: t('links.recent', { total: totalLinksCreated, count: links.length }),
+            list: {
+                title: t('links.listTitle'),
+                buttonText: t('links.listButton'),
+                // WhatsApp cuts row titles at 24 characters, so the full URL goes in the description
+                rows: links.map(link => ({
+                    id: `/stats ${link.short_code}`,
+                    title: `${link.short_code}${link.is_active === false ? ` ${t('links.disabledTag')}` : ''}`,
+                    description: t('links.row', {
+                        shortUrl: link.short_url,
+                        clicks: link.total_clicks,
+                        created: LocaleService.formatDate(locale, link.created_at)
+                    })
+                }))
+            }
+        }
+    }
+
+    static dashboardLogin(locale, loginUrl) {
+        return LocaleService.t(locale, 'links.dashboard', { url: loginUrl })
+    }
+
+    static linkUpdated(locale, link) {
+        return LocaleService.t(locale, 'links.updated', {
+            shortUrl: link.short_url,
+            originalUrl: link.original_url,
+            previousUrl: link.previous_url
+        })
+    }
+
+    static linkDisabled(locale, link) {
+        return {
+            text: LocaleService.t(locale, 'links.disabled', { shortUrl: link.short_url }),
+            buttons: [{ id: `/enable ${link.short_code}`, label: LocaleService.t(locale, 'button.enable') }]
+        }
+    }
+
+    static linkEnabled(locale, link) {
+        return {
+            text: LocaleService.t(locale, 'links.enabled', { shortUrl: link.short_url }),
+            buttons: [{ id: `/disable ${link.short_code}`, label: LocaleService.t(locale, 'button.disable') }]
+        }
+    }
+
+    static confirmDelete(locale, link) {
+        return {
+            text: LocaleService.t(locale, 'links.confirmDelete', { shortUrl: link.short_url, clicks: link.total_clicks, code: link.short_code }),
+            buttons: [{ id: `/delete ${link.short_code} confirm`, label: LocaleService.t(locale, 'button.delete') }]
+        }
+    }
+
+    static linkDeleted(locale, link) {
+        return LocaleService.t(locale, 'links.deleted', { shortUrl: link.short_url })
+    }
+
+    static publicStatsChanged(locale, link, isPublic) {
+        return isPublic
+            ? LocaleService.t(locale, 'stats.nowPublic', {
+                shortUrl: link.short_url,
+                code: link.short_code,
+                url: `${shortDomain()}/api/stats/${link.short_code}`
+            })
+            : LocaleService.t(locale, 'stats.nowPrivate', { shortUrl: link.short_url })
+    }
+
+    static qrCaption(locale, link) {
+        return LocaleService.t(locale, 'links.qrCaption', {
+            shortUrl: link.short_url,
+            code: link.short_code,
+            svgUrl: `${shortDomain()}/qr/${encodeURIComponent(link.short_code)}.svg`
+        })
+    }
+
+    static exportCaption(locale, link) {
+        return LocaleService.t(locale, 'links.exportCaption', { shortUrl: link.short_url })
+    }
+
+    static utmPresetSaved(locale, preset) {
+        return LocaleService.t(locale, 'utm.saved', {
+            name: preset.name,
+            tags: describeUtm(preset.utm_source, preset.utm_medium, preset.utm_campaign)
+        })
+    }
+
+    static utmPresetDeleted(locale, name, deleted) {
+        return LocaleService.t(locale, deleted ? 'utm.deleted' : 'utm.notFound', { name })
+    }
+
+    static utmPresets(locale, presets) {
+        const lines = presets
+            .map(preset => `• *${preset.name}:* ${describeUtm(preset.utm_source, preset.utm_medium, preset.utm_campaign)}`)
+            .join('\n')
+
+        return lines
+            ? LocaleService.t(locale, 'utm.list', { presets: lines })
+            : LocaleService.t(locale, 'utm.none')
+    }
+
+    static apiKeyCreated(locale, key, record) {
+        return LocaleService.t(locale, 'apiKeys.created', {
+            name: record.name ? `: ${record.name}` : '',
+            key,
+            prefix: record.key_prefix
+        })
+    }
+
+    static apiKeyRevoked(locale, prefix, revoked) {
+        return LocaleService.t(locale, revoked ? 'apiKeys.revoked' : 'apiKeys.notFound', { prefix })
+    }
+
+    static apiKeys(locale, keys) {
+        const lines = keys
+            .map(key => LocaleService.t(locale, 'apiKeys.row', {
+                prefix: key.key_prefix,
+                name: key.name ? ` (${key.name})` : '',
+                created: LocaleService.formatDate(locale, key.created_at),
+                lastUsed: key.last_used_at ? LocaleService.formatDate(locale, key.last_used_at) : LocaleService.t(locale, 'apiKeys.never')
+            }))
+            .join('\n')
+
+        return lines
+            ? LocaleService.t(locale, 'apiKeys.list', { keys: lines })
+            : LocaleService.t(locale, 'apiKeys.none')
+    }
+
+    static autoShortenGroupsOnly(locale) {
+        return LocaleService.t(locale, 'groups.autoShortenGroupsOnly')
+    }
+
+    static autoShortenStatus(locale, enabled) {
+        return LocaleService.t(locale, 'groups.autoShortenStatus', {
+            status: LocaleService.t(locale, enabled ? 'groups.on' : 'groups.off'),
+            toggle: enabled ? 'off' : 'on'
+        })
+    }
+
+    static autoShortenAdminsOnly(locale) {
+        return LocaleService.t(locale, 'groups.adminsOnly')
+    }
+
+    static autoShortenChanged(locale, enabled) {
+        return LocaleService.t(locale, enabled ? 'groups.autoShortenOn' : 'groups.autoShortenOff')
+    }
+
+    // /lang without arguments. detected is true when no language was chosen with /lang.
+    static currentLanguage(locale, detected) {
+        const available = LocaleService.LOCALES
+            .map(code => `*${code}* (${LocaleService.t(code, 'language.name')})`)
+            .join(', ')
+
+        return LocaleService.t(locale, 'lang.current', {
+            language: LocaleService.t(locale, 'language.name'),
+            source: detected ? LocaleService.t(locale, 'lang.detected') : '',
+            available: `${available}, *auto*`
+        })
+    }
+
+    static languageChanged(locale, automatic) {
+        return LocaleService.t(locale, automatic ? 'lang.auto' : 'lang.changed', {
+            language: LocaleService.t(locale, 'language.name')
+        })
+    }
+}
+
+module.exports = Replies
@@ -1,30 +1,28 @@
 const { createClient } = require('@supabase/supabase-js')
 
-const supabaseUrl = process.env.SUPABASE_URL
-const supabaseKey = process.env.SUPABASE_ANON_KEY
+// Storage backend: 'supabase' (default) or 'memory' for local runs without a database
+const storageBackend = (process.env.STORAGE_BACKEND || 'supabase').toLowerCase()
 
-if (!supabaseUrl || !supabaseKey) {
-    console.error('❌ Missing Supabase credentials in .env file')
-    process.exit(1)
-}
+let supabase = null
 
-const supabase = createClient(supabaseUrl, supabaseKey)
+if (storageBackend === 'supabase') {
+    const supabaseUrl = process.env.SUPABASE_URL
+    const supabaseKey = process.env.SUPABASE_ANON_KEY
 
-// Test connection
-async function testConnection() {
-    try {
-        // Test connection using the new users table
-        const { data, error } = await supabase.from('users').select('count').single()
-        if (error && error.code !== 'PGRST116') { // PGRST116 is "no rows found" which is fine
-            throw error
-        }
-        console.log('✅ Supabase connected successfully')
-        return true
-    } catch (error) {
-        console.error('❌ Supabase connection failed:', error.message)
-        console.error('💡 Make sure you\'ve created the new database tables (users, shortened_links, link_clicks)')
-        return false
+    if (!supabaseUrl || !supabaseKey) {
+        console.error('❌ Missing Supabase credentials in .env file')
+        console.error('💡 Set STORAGE_BACKEND=memory to run without Supabase')
+        process.exit(1)
     }
+
+    supabase = createClient(supabaseUrl, supabaseKey)
+}
+
+// Test connection against whichever backend is configured
+async function testConnection() {
+    // Required lazily - the Supabase repositories depend on this module
+    const repositories = require('../repositories')
+    return repositories.testConnection()
 }
 
-module.exports = { supabase, testConnection }
\ No newline at end of file
+module.exports = { supabase, storageBackend, testConnection }
@@ -18,15 +18,15 @@ async function startApplication() {
         console.log('✅ Both web server and WhatsApp bot started successfully!')
         
         // Handle graceful shutdown
-        process.on('SIGTERM', () => {
+        process.on('SIGTERM', async () => {
             console.log('🛑 Shutting down gracefully...')
-            webServer.stop()
+            await webServer.stop()
             process.exit(0)
         })
         
-        process.on('SIGINT', () => {
+        process.on('SIGINT', async () => {
             console.log('🛑 Shutting down gracefully...')
-            webServer.stop()
+            await webServer.stop()
             process.exit(0)
         })
         
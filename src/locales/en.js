@@ -0,0 +1,302 @@
+// English messages. This is the reference catalogue: keys missing from another
+// language fall back to the text here. {name} placeholders are filled in by LocaleService.t().
+module.exports = {
+    'language.name': 'English',
+
+    // Replies to any message
+    'welcome': `👋 *Welcome to Link Shortener Bot!*
+
+I help you create short, trackable links from long URLs.
+
+*Quick Start:*
+📎 Just send me any URL and I'll shorten it instantly!
+
+*Example:*
+Send: https://example.com/very-long-url
+Get: Short link with click tracking
+
+Send */help* to see all available commands.`,
+    'help': `🤖 *WhatsApp Link Shortener Bot*
+
+*How to use:*
+📎 Send any URL and I'll shorten it automatically
+
+*Commands:*
+{commands}
+
+Send */help [command]* for details, e.g. /help shorten
+
+*Features:*
+• 🔗 Instant URL shortening
+• 📊 Click tracking & analytics
+• 📱 Device & browser detection
+• 🌍 Country & city detection
+• 👥 Unique visitor counting
+• 📈 Real-time statistics
+
+*Example:*
+Just send: https://example.com/very-long-url
+Get: {shortDomain}/abc123
+
+_Made with ❤️ for easy link sharing_`,
+    'help.aliases': '*Also:* {aliases}',
+    'help.example': '*Example:*',
+    'help.unknownTopic': '❓ There\'s no */{name}* command.{suggestion}\n\nSend */help* to see all commands.',
+    'help.unknownTopicSuggestion': ' Did you mean */help {name}*?',
+    'command.unknown': '❓ Unknown command */{name}*.{suggestion}\n\nSend */help* to see all commands.',
+    'command.unknownSuggestion': ' Did you mean */{name}*?',
+    'command.sentPrivately': '📬 I\'ve sent the reply to */{name}* to you in a private chat.',
+    'usage': '❌ Usage: {usage}',
+    'usage.separator': ' or ',
+    'usage.example': 'Example: {example}',
+    'usage.missingArgument': '❌ Missing {name}.',
+    'usage.invalidChoice': '❌ "{value}" isn\'t a valid {name}. Use one of: {choices}.',
+    'usage.asReply': '(as a reply to a message with links)',
+    'args.url': 'url',
+    'args.newUrl': 'new url',
+    'args.name': 'name',
+    'args.code': 'code',
+    'args.time': 'time',
+    'args.clicks': 'clicks',
+    'args.secret': 'secret',
+    'args.tags': 'source/medium/campaign',
+    'args.prefix': 'prefix',
+    'args.confirmation': 'confirmation',
+    'args.setting': 'setting',
+    'args.action': 'action',
+    'args.value': 'value',
+    'args.language': 'language',
+    'args.command': 'command',
+    'error.generic': '❌ Sorry, something went wrong. Please try again or contact support.',
+    'error.shortenFailed': '❌ Sorry, I couldn\'t shorten that URL. Please make sure it\'s a valid link.',
+
+    // Command descriptions for /help
+    'commands.shorten.summary': 'Shorten a link, optionally with an expiry, click limit, password or UTM tags',
+    'commands.shorten.details': `Options can be combined in any order:
+• *expires 7d* - stop redirecting after 30m, 12h, 7d, 2w or on a date like 2026-12-31
+• *max 100* - stop redirecting after 100 clicks
+• *password [secret]* - ask visitors for a password first
+• *utm=source/medium/campaign* - add UTM tags to the destination
+• *utm=[preset]* - add the tags of a preset saved with /utm
+
+Reply to any message (text, image caption, document...) with */short* to shorten the links in it. Options work there too, e.g. */short expires 7d*.`,
+    'commands.alias.summary': 'Create a link with a custom name',
+    'commands.alias.details': 'Names are 3-30 letters, numbers, "-" or "_" and are case-sensitive. The same options as /shorten can follow the name.',
+    'commands.stats.summary': 'Get detailed analytics (your links, or links with public stats)',
+    'commands.stats.details': 'Shows clicks for the last 7 days, devices, browsers, countries, referrers, campaigns and QR scans. Stats are private to the link owner unless they turn on /publicstats.',
+    'commands.mylinks.summary': 'View your recent links',
+    'commands.dashboard.summary': 'Manage all your links in the browser',
+    'commands.dashboard.details': 'Replies with a personal login link for the web dashboard. The link works once and expires after 15 minutes.',
+    'commands.edit.summary': 'Change where a link points',
+    'commands.edit.details': 'The short link and its statistics stay the same. Previous destinations are listed in /stats.',
+    'commands.disable.summary': 'Stop a link from redirecting',
+    'commands.enable.summary': 'Resume a disabled link',
+    'commands.delete.summary': 'Permanently delete a link',
+    'commands.delete.details': 'Removes the link and all of its click statistics. You will be asked to confirm with */delete [code] confirm*.',
+    'commands.publicstats.summary': 'Let anyone see a link\'s stats',
+    'commands.qr.summary': 'Get a QR code for a link',
+    'commands.qr.details': 'Scans of the QR code are counted separately as QR clicks in /stats.',
+    'commands.export.summary': 'Download a link\'s clicks as CSV',
+    'commands.export.details': 'Sends a CSV file with one row per click. IP addresses are anonymised.',
+    'commands.utm.summary': 'Save and manage UTM presets for /shorten',
+    'commands.utm.details': 'Use a saved preset with */shorten [url] utm=[name]*.',
+    'commands.apikey.summary': 'Manage keys for the REST API',
+    'commands.apikey.details': 'Keys are shown once when created and are stored hashed. Send them as "Authorization: Bearer [key]".',
+    'commands.autoshorten.summary': 'Groups only: shorten every link posted in the group (admins)',
+    'commands.autoshorten.details': 'In groups I only answer commands and messages that mention me. Group admins can turn on auto-shortening so every link posted in the group is shortened.',
+    'commands.lang.summary': 'Choose the language I reply in',
+    'commands.lang.details': 'By default I pick a language from your phone number\'s country code. Send */lang auto* to go back to that.',
+    'commands.help.summary': 'Show all commands, or details about one',
+    'commands.start.summary': 'Show the welcome message',
+
+    // Shortening
+    'link.created': `✅ *Link Shortened Successfully!*
+
+🔗 *Short URL:* {shortUrl}
+📋 *Original:* {originalUrl}
+📊 *Code:* {code}{limits}
+
+*Features:*
+• 📈 Click tracking enabled
+• 📱 Device & browser analytics
+• 🔄 Real-time statistics`,
+    'link.createdFooter': 'Send /mylinks to see all your links or /help for more commands',
+    'link.expires': '⏳ *Expires:* {date}',
+    'link.clickLimit': '🎯 *Click limit:* {count}',
+    'link.passwordProtected': '🔒 *Password protected*',
+    'link.batchShortened': `✅ *Shortened {shortened} of {total} Links*
+
+{lines}
+
+Send */stats [code]* for analytics on any of them.`,
+    'button.stats': '📊 Stats',
+    'button.qr': '📷 QR code',
+    'button.disable': '⏸️ Disable',
+    'button.enable': '▶️ Enable',
+    'button.delete': '🗑️ Delete',
+    'interactive.quickActions': '*Quick actions:*',
+    'interactive.send': 'send *{command}*',
+
+    // Stats
+    'stats.private': '🔒 Stats for this link are private. Only the person who created it can see them.',
+    'stats.report': `📊 *Link Analytics*
+
+🔗 *Short URL:* {shortUrl}
+📈 *Total Clicks:* {totalClicks}
+👥 *Unique Clicks:* {uniqueClicks}
+📅 *Today's Clicks:* {todayClicks}
+📷 *QR Scans:* {qrClicks}
+📉 *Last 7 Days:* {sparkline} ({weekTotal})
+🤖 *Bot & Preview Hits:* {botClicks} _(not counted)_
+
+*Device Breakdown:*
+{devices}
+
+*Top Browsers:*
+{browsers}
+
+*Top Operating Systems:*
+{operatingSystems}
+
+*Top Countries:*
+{countries}
+
+*Top Referrers:*
+{referrers}
+
+*Campaigns (source / medium / campaign):*
+{campaigns}
+
+*Created:* {created}{limits}{history}
+
+{statsLink}`,
+    'stats.noClicks': 'No clicks yet',
+    'stats.noTaggedClicks': 'No tagged clicks yet',
+    'stats.history': '*Destination Changes:*',
+    'stats.visibility': '🌐 *Stats are {visibility}* - send */publicstats {code} {toggle}* to change\n\nView detailed stats (private link, valid 7 days): {url}',
+    'stats.public': 'public',
+    'stats.privateLabel': 'private',
+    'stats.publicLink': 'View detailed stats: {url}',
+    'stats.nowPublic': '🌐 *Stats are now public*\n\nAnyone can view the analytics of {shortUrl} with */stats {code}* or at {url}',
+    'stats.nowPrivate': '🔒 *Stats are now private*\n\nOnly you can view the analytics of {shortUrl}.',
+
+    // Managing links
+    'links.none': '📝 You haven\'t created any short links yet. Send me a URL to get started!',
+    'links.recent': `🔗 *Your Recent Short Links*
+
+*Total Links Created:* {total}
+
+_Showing your latest {count} links. Pick one for detailed analytics, or send /dashboard to see them all._`,
+    'links.listTitle': 'Your recent links',
+    'links.listButton': 'View links',
+    'links.disabledTag': '⏸️ disabled',
+    'links.row': '{shortUrl} | 📊 {clicks} clicks | {created}',
+    'links.dashboard': `🖥️ *Your Link Dashboard*
+
+{url}
+
+Search, sort and manage all of your links in the browser.
+
+⚠️ This login link is personal, works once and expires in 15 minutes. Don't share it.`,
+    'links.updated': `✏️ *Link Updated!*
+
+🔗 *Short URL:* {shortUrl}
+📋 *New destination:* {originalUrl}
+↩️ *Previous:* {previousUrl}
+
+The short link and its statistics stay the same.`,
+    'links.disabled': '⏸️ *Link disabled*\n\n{shortUrl} will no longer redirect.',
+    'links.enabled': '▶️ *Link enabled*\n\n{shortUrl} is redirecting again.',
+    'links.confirmDelete': '⚠️ *Delete {shortUrl}?*\n\nThis permanently removes the link and all of its click statistics ({clicks} clicks).\n\nSend */delete {code} confirm* to continue.',
+    'links.deleted': '🗑️ *Link deleted*\n\n{shortUrl} and its statistics have been removed.',
+    'links.qrCaption': '📷 *QR code for {shortUrl}*\n\nScans show up as QR clicks in */stats {code}*.\nPrint quality: {svgUrl}',
+    'links.exportCaption': '📤 Click export for {shortUrl} (IP addresses are anonymised)',
+
+    // UTM presets
+    'utm.saved': '🏷️ *UTM preset saved*\n\n*{name}:* {tags}\n\nUse it with */shorten [url] utm={name}*',
+    'utm.deleted': '🗑️ UTM preset *{name}* deleted.',
+    'utm.notFound': '❌ No UTM preset named "{name}".',
+    'utm.list': '🏷️ *Your UTM Presets*\n\n{presets}\n\nUse one with */shorten [url] utm=[name]*',
+    'utm.none': '🏷️ You have no UTM presets yet.\n\nSave one with */utm save [name] [source/medium/campaign]*\nExample: /utm save news newsletter/email/oct-launch',
+
+    // API keys
+    'apiKeys.created': `🔑 *New API Key{name}*
+
+{key}
+
+⚠️ This is the only time the key is shown. Store it somewhere safe and delete this message.
+
+Use it as a bearer token:
+Authorization: Bearer {prefix}...
+
+Revoke it any time with */apikey revoke {prefix}*`,
+    'apiKeys.revoked': '🔒 API key *{prefix}* revoked. Requests using it will be rejected.',
+    'apiKeys.notFound': '❌ No active API key starting with "{prefix}". Send */apikey list* to see your keys.',
+    'apiKeys.list': '🔑 *Your API Keys*\n\n{keys}\n\nRevoke one with */apikey revoke [prefix]*',
+    'apiKeys.row': '• *{prefix}*{name}\n   Created: {created} | Last used: {lastUsed}',
+    'apiKeys.never': 'never',
+    'apiKeys.none': '🔑 You have no API keys yet. Send */apikey new [name]* to create one.',
+
+    // Groups
+    'groups.autoShortenGroupsOnly': '👥 */autoshorten* only works in group chats. In private chats I always shorten the links you send.',
+    'groups.autoShortenStatus': '👥 Auto-shortening is *{status}* in this group. Admins can change it with */autoshorten {toggle}*.',
+    'groups.on': 'on',
+    'groups.off': 'off',
+    'groups.adminsOnly': '🚫 Only group admins can change auto-shortening.',
+    'groups.autoShortenOn': '✅ *Auto-shortening on* - I\'ll shorten every link posted in this group.',
+    'groups.autoShortenOff': '⏸️ *Auto-shortening off* - mention me or use */shorten* to shorten links in this group.',
+
+    // Languages
+    'lang.current': '🌐 I\'m replying in *{language}*{source}.\n\nChange it with */lang [code]*: {available}',
+    'lang.detected': ' (picked from your phone number)',
+    'lang.changed': '🌐 Done! I\'ll reply in *{language}* from now on.',
+    'lang.auto': '🌐 Done! I\'ll pick the language from your phone number again - currently *{language}*.',
+
+    // Errors from parsing options and from the services
+    'errors.invalidUtmTags': '❌ Invalid UTM tags. Use source/medium/campaign, e.g. utm=newsletter/email/oct-launch.',
+    'errors.invalidPresetName': '❌ Preset names can only use letters, numbers, - and _ (up to 30 characters).',
+    'errors.invalidExpiry': '❌ Invalid expiry. Use a duration like 30m, 12h, 7d or 2w, or a future date like 2026-12-31.',
+    'errors.invalidClickLimit': '❌ Invalid click limit. Use a whole number, e.g. max 100.',
+    'errors.passwordTooShort': '❌ Passwords must be at least 4 characters long.',
+    'errors.unknownOption': '❌ Unknown option "{option}". Available options: expires, max, password, utm',
+    'errors.invalidUrl': '❌ Invalid URL format',
+    'errors.aliasTaken': '❌ The alias "{alias}" is already taken.',
+    'errors.presetNotFound': '❌ No UTM preset named "{name}". Send */utm list* to see your presets.',
+    'errors.linkNotFound': '❌ Link not found. Please check the code and try again.',
+    'errors.notLinkOwner': '🚫 You can only manage links that you created.',
+    'errors.sameUrl': 'ℹ️ The link already points to that URL.',
+    'errors.tooManyApiKeys': '⚠️ You already have {max} active API keys. Revoke one with */apikey revoke [prefix]* first.',
+    'security.rateLimit': '⚠️ Too many links created. Please wait before creating more.',
+    'security.urlTooLong': '❌ URL is too long. Maximum 2000 characters allowed.',
+    'security.checkFailed': '❌ Security check failed. Please try again.',
+    'security.blockedDomain': '🚫 This domain is not allowed for security reasons.',
+    'security.suspiciousPattern': '⚠️ This URL contains suspicious patterns and cannot be shortened.',
+    'security.urlNotFound': '❌ URL appears to be broken or not accessible.',
+    'security.reservedAlias': '🚫 "{alias}" is a reserved name. Please choose another alias.',
+    'security.invalidAlias': '❌ Aliases must be 3-30 characters long and use only letters, numbers, "-" or "_".',
+
+    // Web pages
+    'web.createLink': 'Create a short link with our WhatsApp bot',
+    'web.notFound.title': 'Link Not Found',
+    'web.notFound.heading': '🔍 Link Not Found',
+    'web.notFound.message': 'The short link "{code}" doesn\'t exist or has been disabled.',
+    'web.expired.title': 'Link Expired',
+    'web.expired.heading': '⌛ Link Expired',
+    'web.expired.message': 'The short link "{code}" has expired and no longer redirects.',
+    'web.expired.hint': 'Ask the person who shared it for an updated link.',
+    'web.password.title': 'Password Required',
+    'web.password.heading': '🔒 Password Required',
+    'web.password.message': 'The short link "{code}" is password protected.',
+    'web.password.placeholder': 'Password',
+    'web.password.submit': 'Unlock',
+    'web.password.incorrect': 'Incorrect password. Please try again.',
+    'web.preview.title': 'Link Preview',
+    'web.preview.heading': '🔗 Link Preview',
+    'web.preview.shortUrl': 'Short URL:',
+    'web.preview.originalUrl': 'Original URL:',
+    'web.preview.passwordProtected': '🔒 Password protected',
+    'web.preview.totalClicks': 'Total Clicks',
+    'web.preview.uniqueClicks': 'Unique Clicks',
+    'web.preview.continue': 'Continue to Original Link',
+    'web.preview.created': 'Created: {date}'
+}
@@ -0,0 +1,301 @@
+// French messages - see en.js for the reference catalogue
+module.exports = {
+    'language.name': 'Français',
+
+    // Replies to any message
+    'welcome': `👋 *Bienvenue sur Link Shortener Bot !*
+
+Je transforme les URL longues en liens courts avec suivi des clics.
+
+*Pour commencer :*
+📎 Envoyez-moi n'importe quelle URL et je la raccourcis tout de suite !
+
+*Exemple :*
+Envoyez : https://example.com/url-tres-longue
+Recevez : un lien court avec suivi des clics
+
+Envoyez */help* pour voir toutes les commandes.`,
+    'help': `🤖 *WhatsApp Link Shortener Bot*
+
+*Mode d'emploi :*
+📎 Envoyez une URL et je la raccourcis automatiquement
+
+*Commandes :*
+{commands}
+
+Envoyez */help [commande]* pour les détails, par ex. /help shorten
+
+*Fonctionnalités :*
+• 🔗 Raccourcissement instantané
+• 📊 Suivi des clics et statistiques
+• 📱 Détection de l'appareil et du navigateur
+• 🌍 Détection du pays et de la ville
+• 👥 Comptage des visiteurs uniques
+• 📈 Statistiques en temps réel
+
+*Exemple :*
+Envoyez : https://example.com/url-tres-longue
+Recevez : {shortDomain}/abc123
+
+_Fait avec ❤️ pour partager des liens facilement_`,
+    'help.aliases': '*Aussi :* {aliases}',
+    'help.example': '*Exemple :*',
+    'help.unknownTopic': '❓ La commande */{name}* n\'existe pas.{suggestion}\n\nEnvoyez */help* pour voir toutes les commandes.',
+    'help.unknownTopicSuggestion': ' Vouliez-vous dire */help {name}* ?',
+    'command.unknown': '❓ Commande inconnue */{name}*.{suggestion}\n\nEnvoyez */help* pour voir toutes les commandes.',
+    'command.unknownSuggestion': ' Vouliez-vous dire */{name}* ?',
+    'command.sentPrivately': '📬 Je vous ai envoyé la réponse à */{name}* en message privé.',
+    'usage': '❌ Utilisation : {usage}',
+    'usage.separator': ' ou ',
+    'usage.example': 'Exemple : {example}',
+    'usage.missingArgument': '❌ Paramètre manquant : {name}.',
+    'usage.invalidChoice': '❌ « {value} » n\'est pas une valeur valide pour {name}. Utilisez : {choices}.',
+    'usage.asReply': '(en réponse à un message contenant des liens)',
+    'args.url': 'url',
+    'args.newUrl': 'nouvelle url',
+    'args.name': 'nom',
+    'args.code': 'code',
+    'args.time': 'durée',
+    'args.clicks': 'clics',
+    'args.secret': 'secret',
+    'args.tags': 'source/medium/campaign',
+    'args.prefix': 'préfixe',
+    'args.confirmation': 'confirmation',
+    'args.setting': 'réglage',
+    'args.action': 'action',
+    'args.value': 'valeur',
+    'args.language': 'langue',
+    'args.command': 'commande',
+    'error.generic': '❌ Désolé, une erreur s\'est produite. Réessayez ou contactez le support.',
+    'error.shortenFailed': '❌ Désolé, je n\'ai pas pu raccourcir cette URL. Vérifiez que le lien est valide.',
+
+    // Command descriptions for /help
+    'commands.shorten.summary': 'Raccourcir un lien, avec expiration, limite de clics, mot de passe ou tags UTM en option',
+    'commands.shorten.details': `Les options peuvent être combinées dans n'importe quel ordre :
+• *expires 7d* - arrête la redirection après 30m, 12h, 7d, 2w ou à une date comme 2026-12-31
+• *max 100* - arrête la redirection après 100 clics
+• *password [secret]* - demande d'abord un mot de passe aux visiteurs
+• *utm=source/medium/campaign* - ajoute des tags UTM à la destination
+• *utm=[preset]* - ajoute les tags d'un preset enregistré avec /utm
+
+Répondez à n'importe quel message (texte, légende d'image, document...) avec */short* pour raccourcir ses liens. Les options fonctionnent aussi, par ex. */short expires 7d*.`,
+    'commands.alias.summary': 'Créer un lien avec un nom personnalisé',
+    'commands.alias.details': 'Les noms font de 3 à 30 lettres, chiffres, « - » ou « _ » et sont sensibles à la casse. Les mêmes options que /shorten peuvent suivre le nom.',
+    'commands.stats.summary': 'Statistiques détaillées (de vos liens, ou des liens aux statistiques publiques)',
+    'commands.stats.details': 'Affiche les clics des 7 derniers jours, les appareils, navigateurs, pays, sites référents, campagnes et scans de QR code. Les statistiques sont réservées au propriétaire du lien, sauf s\'il active /publicstats.',
+    'commands.mylinks.summary': 'Voir vos liens récents',
+    'commands.dashboard.summary': 'Gérer tous vos liens dans le navigateur',
+    'commands.dashboard.details': 'Répond avec un lien de connexion personnel au tableau de bord web. Le lien ne fonctionne qu\'une fois et expire au bout de 15 minutes.',
+    'commands.edit.summary': 'Changer la destination d\'un lien',
+    'commands.edit.details': 'Le lien court et ses statistiques restent les mêmes. Les destinations précédentes sont listées dans /stats.',
+    'commands.disable.summary': 'Arrêter la redirection d\'un lien',
+    'commands.enable.summary': 'Réactiver un lien désactivé',
+    'commands.delete.summary': 'Supprimer définitivement un lien',
+    'commands.delete.details': 'Supprime le lien et toutes ses statistiques de clics. Il vous sera demandé de confirmer avec */delete [code] confirm*.',
+    'commands.publicstats.summary': 'Rendre les statistiques d\'un lien visibles par tous',
+    'commands.qr.summary': 'Obtenir le QR code d\'un lien',
+    'commands.qr.details': 'Les scans du QR code sont comptés à part comme clics QR dans /stats.',
+    'commands.export.summary': 'Télécharger les clics d\'un lien en CSV',
+    'commands.export.details': 'Envoie un fichier CSV avec une ligne par clic. Les adresses IP sont anonymisées.',
+    'commands.utm.summary': 'Enregistrer et gérer des presets UTM pour /shorten',
+    'commands.utm.details': 'Utilisez un preset enregistré avec */shorten [url] utm=[nom]*.',
+    'commands.apikey.summary': 'Gérer les clés de l\'API REST',
+    'commands.apikey.details': 'Les clés ne sont affichées qu\'une fois, à leur création, et sont stockées hachées. Envoyez-les sous la forme « Authorization: Bearer [clé] ».',
+    'commands.autoshorten.summary': 'Groupes uniquement : raccourcir chaque lien envoyé dans le groupe (admins)',
+    'commands.autoshorten.details': 'Dans les groupes, je ne réponds qu\'aux commandes et aux messages qui me mentionnent. Les admins du groupe peuvent activer le raccourcissement automatique pour que chaque lien envoyé soit raccourci.',
+    'commands.lang.summary': 'Choisir la langue de mes réponses',
+    'commands.lang.details': 'Par défaut, je choisis la langue selon l\'indicatif pays de votre numéro. Envoyez */lang auto* pour revenir à ce réglage.',
+    'commands.help.summary': 'Afficher toutes les commandes, ou les détails de l\'une d\'elles',
+    'commands.start.summary': 'Afficher le message de bienvenue',
+
+    // Shortening
+    'link.created': `✅ *Lien raccourci avec succès !*
+
+🔗 *URL courte :* {shortUrl}
+📋 *Originale :* {originalUrl}
+📊 *Code :* {code}{limits}
+
+*Fonctionnalités :*
+• 📈 Suivi des clics activé
+• 📱 Statistiques par appareil et navigateur
+• 🔄 Statistiques en temps réel`,
+    'link.createdFooter': 'Envoyez /mylinks pour voir tous vos liens ou /help pour plus de commandes',
+    'link.expires': '⏳ *Expire le :* {date}',
+    'link.clickLimit': '🎯 *Limite de clics :* {count}',
+    'link.passwordProtected': '🔒 *Protégé par mot de passe*',
+    'link.batchShortened': `✅ *{shortened} liens sur {total} raccourcis*
+
+{lines}
+
+Envoyez */stats [code]* pour les statistiques de chacun d'eux.`,
+    'button.stats': '📊 Statistiques',
+    'button.qr': '📷 QR code',
+    'button.disable': '⏸️ Désactiver',
+    'button.enable': '▶️ Activer',
+    'button.delete': '🗑️ Supprimer',
+    'interactive.quickActions': '*Actions rapides :*',
+    'interactive.send': 'envoyez *{command}*',
+
+    // Stats
+    'stats.private': '🔒 Les statistiques de ce lien sont privées. Seule la personne qui l\'a créé peut les voir.',
+    'stats.report': `📊 *Statistiques du lien*
+
+🔗 *URL courte :* {shortUrl}
+📈 *Clics au total :* {totalClicks}
+👥 *Clics uniques :* {uniqueClicks}
+📅 *Clics aujourd'hui :* {todayClicks}
+📷 *Scans de QR code :* {qrClicks}
+📉 *7 derniers jours :* {sparkline} ({weekTotal})
+🤖 *Robots et aperçus :* {botClicks} _(non comptés)_
+
+*Appareils :*
+{devices}
+
+*Principaux navigateurs :*
+{browsers}
+
+*Principaux systèmes d'exploitation :*
+{operatingSystems}
+
+*Principaux pays :*
+{countries}
+
+*Principaux sites référents :*
+{referrers}
+
+*Campagnes (source / medium / campaign) :*
+{campaigns}
+
+*Créé le :* {created}{limits}{history}
+
+{statsLink}`,
+    'stats.noClicks': 'Aucun clic pour l\'instant',
+    'stats.noTaggedClicks': 'Aucun clic tagué pour l\'instant',
+    'stats.history': '*Changements de destination :*',
+    'stats.visibility': '🌐 *Les statistiques sont {visibility}* - envoyez */publicstats {code} {toggle}* pour changer\n\nStatistiques détaillées (lien privé, valable 7 jours) : {url}',
+    'stats.public': 'publiques',
+    'stats.privateLabel': 'privées',
+    'stats.publicLink': 'Statistiques détaillées : {url}',
+    'stats.nowPublic': '🌐 *Les statistiques sont maintenant publiques*\n\nTout le monde peut voir les statistiques de {shortUrl} avec */stats {code}* ou sur {url}',
+    'stats.nowPrivate': '🔒 *Les statistiques sont maintenant privées*\n\nVous seul pouvez voir les statistiques de {shortUrl}.',
+
+    // Managing links
+    'links.none': '📝 Vous n\'avez encore créé aucun lien court. Envoyez-moi une URL pour commencer !',
+    'links.recent': `🔗 *Vos liens courts récents*
+
+*Liens créés au total :* {total}
+
+_Voici vos {count} derniers liens. Choisissez-en un pour ses statistiques, ou envoyez /dashboard pour les voir tous._`,
+    'links.listTitle': 'Vos liens récents',
+    'links.listButton': 'Voir les liens',
+    'links.disabledTag': '⏸️ désactivé',
+    'links.row': '{shortUrl} | 📊 {clicks} clics | {created}',
+    'links.dashboard': `🖥️ *Votre tableau de bord*
+
+{url}
+
+Recherchez, triez et gérez tous vos liens dans le navigateur.
+
+⚠️ Ce lien de connexion est personnel, ne fonctionne qu'une fois et expire dans 15 minutes. Ne le partagez pas.`,
+    'links.updated': `✏️ *Lien mis à jour !*
+
+🔗 *URL courte :* {shortUrl}
+📋 *Nouvelle destination :* {originalUrl}
+↩️ *Précédente :* {previousUrl}
+
+Le lien court et ses statistiques restent les mêmes.`,
+    'links.disabled': '⏸️ *Lien désactivé*\n\n{shortUrl} ne redirige plus.',
+    'links.enabled': '▶️ *Lien activé*\n\n{shortUrl} redirige à nouveau.',
+    'links.confirmDelete': '⚠️ *Supprimer {shortUrl} ?*\n\nCela supprime définitivement le lien et toutes ses statistiques de clics ({clicks} clics).\n\nEnvoyez */delete {code} confirm* pour continuer.',
+    'links.deleted': '🗑️ *Lien supprimé*\n\n{shortUrl} et ses statistiques ont été supprimés.',
+    'links.qrCaption': '📷 *QR code de {shortUrl}*\n\nLes scans apparaissent comme clics QR dans */stats {code}*.\nQualité impression : {svgUrl}',
+    'links.exportCaption': '📤 Export des clics de {shortUrl} (adresses IP anonymisées)',
+
+    // UTM presets
+    'utm.saved': '🏷️ *Preset UTM enregistré*\n\n*{name} :* {tags}\n\nUtilisez-le avec */shorten [url] utm={name}*',
+    'utm.deleted': '🗑️ Preset UTM *{name}* supprimé.',
+    'utm.notFound': '❌ Aucun preset UTM nommé « {name} ».',
+    'utm.list': '🏷️ *Vos presets UTM*\n\n{presets}\n\nUtilisez-en un avec */shorten [url] utm=[nom]*',
+    'utm.none': '🏷️ Vous n\'avez pas encore de preset UTM.\n\nEnregistrez-en un avec */utm save [nom] [source/medium/campaign]*\nExemple : /utm save news newsletter/email/oct-launch',
+
+    // API keys
+    'apiKeys.created': `🔑 *Nouvelle clé d'API{name}*
+
+{key}
+
+⚠️ C'est la seule fois que la clé est affichée. Conservez-la en lieu sûr et supprimez ce message.
+
+Utilisez-la comme bearer token :
+Authorization: Bearer {prefix}...
+
+Révoquez-la à tout moment avec */apikey revoke {prefix}*`,
+    'apiKeys.revoked': '🔒 Clé d\'API *{prefix}* révoquée. Les requêtes qui l\'utilisent seront refusées.',
+    'apiKeys.notFound': '❌ Aucune clé d\'API active ne commence par « {prefix} ». Envoyez */apikey list* pour voir vos clés.',
+    'apiKeys.list': '🔑 *Vos clés d\'API*\n\n{keys}\n\nRévoquez-en une avec */apikey revoke [préfixe]*',
+    'apiKeys.row': '• *{prefix}*{name}\n   Créée le : {created} | Dernière utilisation : {lastUsed}',
+    'apiKeys.never': 'jamais',
+    'apiKeys.none': '🔑 Vous n\'avez pas encore de clé d\'API. Envoyez */apikey new [nom]* pour en créer une.',
+
+    // Groups
+    'groups.autoShortenGroupsOnly': '👥 */autoshorten* ne fonctionne que dans les groupes. En privé, je raccourcis toujours les liens que vous envoyez.',
+    'groups.autoShortenStatus': '👥 Le raccourcissement automatique est *{status}* dans ce groupe. Les admins peuvent le changer avec */autoshorten {toggle}*.',
+    'groups.on': 'activé',
+    'groups.off': 'désactivé',
+    'groups.adminsOnly': '🚫 Seuls les admins du groupe peuvent changer le raccourcissement automatique.',
+    'groups.autoShortenOn': '✅ *Raccourcissement automatique activé* - je raccourcirai chaque lien envoyé dans ce groupe.',
+    'groups.autoShortenOff': '⏸️ *Raccourcissement automatique désactivé* - mentionnez-moi ou utilisez */shorten* pour raccourcir des liens dans ce groupe.',
+
+    // Languages
+    'lang.current': '🌐 Je réponds en *{language}*{source}.\n\nChangez avec */lang [code]* : {available}',
+    'lang.detected': ' (choisi selon votre numéro)',
+    'lang.changed': '🌐 C\'est fait ! Je répondrai désormais en *{language}*.',
+    'lang.auto': '🌐 C\'est fait ! Je choisis de nouveau la langue selon votre numéro - actuellement *{language}*.',
+
+    // Errors from parsing options and from the services
+    'errors.invalidUtmTags': '❌ Tags UTM invalides. Utilisez source/medium/campaign, par ex. utm=newsletter/email/oct-launch.',
+    'errors.invalidPresetName': '❌ Les noms de preset ne peuvent contenir que des lettres, chiffres, - et _ (30 caractères maximum).',
+    'errors.invalidExpiry': '❌ Expiration invalide. Utilisez une durée comme 30m, 12h, 7d ou 2w, ou une date future comme 2026-12-31.',
+    'errors.invalidClickLimit': '❌ Limite de clics invalide. Utilisez un nombre entier, par ex. max 100.',
+    'errors.passwordTooShort': '❌ Le mot de passe doit contenir au moins 4 caractères.',
+    'errors.unknownOption': '❌ Option inconnue « {option} ». Options disponibles : expires, max, password, utm',
+    'errors.invalidUrl': '❌ Format d\'URL invalide',
+    'errors.aliasTaken': '❌ Le nom « {alias} » est déjà pris.',
+    'errors.presetNotFound': '❌ Aucun preset UTM nommé « {name} ». Envoyez */utm list* pour voir vos presets.',
+    'errors.linkNotFound': '❌ Lien introuvable. Vérifiez le code et réessayez.',
+    'errors.notLinkOwner': '🚫 Vous ne pouvez gérer que les liens que vous avez créés.',
+    'errors.sameUrl': 'ℹ️ Le lien pointe déjà vers cette URL.',
+    'errors.tooManyApiKeys': '⚠️ Vous avez déjà {max} clés d\'API actives. Révoquez-en une avec */apikey revoke [préfixe]* d\'abord.',
+    'security.rateLimit': '⚠️ Trop de liens créés. Patientez avant d\'en créer d\'autres.',
+    'security.urlTooLong': '❌ URL trop longue. 2000 caractères maximum.',
+    'security.checkFailed': '❌ La vérification de sécurité a échoué. Réessayez.',
+    'security.blockedDomain': '🚫 Ce domaine n\'est pas autorisé pour des raisons de sécurité.',
+    'security.suspiciousPattern': '⚠️ Cette URL contient des motifs suspects et ne peut pas être raccourcie.',
+    'security.urlNotFound': '❌ L\'URL semble cassée ou inaccessible.',
+    'security.reservedAlias': '🚫 « {alias} » est un nom réservé. Choisissez-en un autre.',
+    'security.invalidAlias': '❌ Les noms doivent faire de 3 à 30 caractères et n\'utiliser que des lettres, chiffres, « - » ou « _ ».',
+
+    // Web pages
+    'web.createLink': 'Créez un lien court avec notre bot WhatsApp',
+    'web.notFound.title': 'Lien introuvable',
+    'web.notFound.heading': '🔍 Lien introuvable',
+    'web.notFound.message': 'Le lien court « {code} » n\'existe pas ou a été désactivé.',
+    'web.expired.title': 'Lien expiré',
+    'web.expired.heading': '⌛ Lien expiré',
+    'web.expired.message': 'Le lien court « {code} » a expiré et ne redirige plus.',
+    'web.expired.hint': 'Demandez un lien à jour à la personne qui l\'a partagé.',
+    'web.password.title': 'Mot de passe requis',
+    'web.password.heading': '🔒 Mot de passe requis',
+    'web.password.message': 'Le lien court « {code} » est protégé par un mot de passe.',
+    'web.password.placeholder': 'Mot de passe',
+    'web.password.submit': 'Déverrouiller',
+    'web.password.incorrect': 'Mot de passe incorrect. Réessayez.',
+    'web.preview.title': 'Aperçu du lien',
+    'web.preview.heading': '🔗 Aperçu du lien',
+    'web.preview.shortUrl': 'URL courte :',
+    'web.preview.originalUrl': 'URL d\'origine :',
+    'web.preview.passwordProtected': '🔒 Protégé par mot de passe',
+    'web.preview.totalClicks': 'Clics au total',
+    'web.preview.uniqueClicks': 'Clics uniques',
+    'web.preview.continue': 'Continuer vers le lien d\'origine',
+    'web.preview.created': 'Créé le : {date}'
+}
@@ -0,0 +1,301 @@
+// Portuguese (Brazil) messages - see en.js for the reference catalogue
+module.exports = {
+    'language.name': 'Português',
+
+    // Replies to any message
+    'welcome': `👋 *Bem-vindo ao Link Shortener Bot!*
+
+Eu crio links curtos e rastreáveis a partir de URLs longas.
+
+*Começo rápido:*
+📎 É só me enviar qualquer URL que eu encurto na hora!
+
+*Exemplo:*
+Envie: https://example.com/url-muito-longa
+Receba: um link curto com contagem de cliques
+
+Envie */help* para ver todos os comandos.`,
+    'help': `🤖 *WhatsApp Link Shortener Bot*
+
+*Como usar:*
+📎 Envie qualquer URL e eu encurto automaticamente
+
+*Comandos:*
+{commands}
+
+Envie */help [comando]* para ver os detalhes, ex.: /help shorten
+
+*Recursos:*
+• 🔗 Encurtamento instantâneo
+• 📊 Contagem de cliques e estatísticas
+• 📱 Detecção de dispositivo e navegador
+• 🌍 Detecção de país e cidade
+• 👥 Contagem de visitantes únicos
+• 📈 Estatísticas em tempo real
+
+*Exemplo:*
+Envie: https://example.com/url-muito-longa
+Receba: {shortDomain}/abc123
+
+_Feito com ❤️ para compartilhar links com facilidade_`,
+    'help.aliases': '*Também:* {aliases}',
+    'help.example': '*Exemplo:*',
+    'help.unknownTopic': '❓ Não existe o comando */{name}*.{suggestion}\n\nEnvie */help* para ver todos os comandos.',
+    'help.unknownTopicSuggestion': ' Você quis dizer */help {name}*?',
+    'command.unknown': '❓ Comando desconhecido */{name}*.{suggestion}\n\nEnvie */help* para ver todos os comandos.',
+    'command.unknownSuggestion': ' Você quis dizer */{name}*?',
+    'command.sentPrivately': '📬 Enviei a resposta de */{name}* para você no privado.',
+    'usage': '❌ Uso: {usage}',
+    'usage.separator': ' ou ',
+    'usage.example': 'Exemplo: {example}',
+    'usage.missingArgument': '❌ Falta o parâmetro {name}.',
+    'usage.invalidChoice': '❌ "{value}" não é um valor válido para {name}. Use um destes: {choices}.',
+    'usage.asReply': '(como resposta a uma mensagem com links)',
+    'args.url': 'url',
+    'args.newUrl': 'nova url',
+    'args.name': 'nome',
+    'args.code': 'código',
+    'args.time': 'tempo',
+    'args.clicks': 'cliques',
+    'args.secret': 'senha',
+    'args.tags': 'source/medium/campaign',
+    'args.prefix': 'prefixo',
+    'args.confirmation': 'confirmação',
+    'args.setting': 'opção',
+    'args.action': 'ação',
+    'args.value': 'valor',
+    'args.language': 'idioma',
+    'args.command': 'comando',
+    'error.generic': '❌ Desculpe, algo deu errado. Tente novamente ou fale com o suporte.',
+    'error.shortenFailed': '❌ Desculpe, não consegui encurtar essa URL. Verifique se o link é válido.',
+
+    // Command descriptions for /help
+    'commands.shorten.summary': 'Encurta um link, com validade, limite de cliques, senha ou tags UTM opcionais',
+    'commands.shorten.details': `As opções podem ser combinadas em qualquer ordem:
+• *expires 7d* - para de redirecionar depois de 30m, 12h, 7d, 2w ou em uma data como 2026-12-31
+• *max 100* - para de redirecionar depois de 100 cliques
+• *password [senha]* - pede uma senha aos visitantes antes
+• *utm=source/medium/campaign* - adiciona tags UTM ao destino
+• *utm=[preset]* - adiciona as tags de um preset salvo com /utm
+
+Responda a qualquer mensagem (texto, legenda de imagem, documento...) com */short* para encurtar os links dela. As opções também funcionam, ex.: */short expires 7d*.`,
+    'commands.alias.summary': 'Cria um link com um nome personalizado',
+    'commands.alias.details': 'Os nomes têm de 3 a 30 letras, números, "-" ou "_" e diferenciam maiúsculas de minúsculas. As mesmas opções de /shorten podem vir depois do nome.',
+    'commands.stats.summary': 'Mostra estatísticas detalhadas (dos seus links ou de links com estatísticas públicas)',
+    'commands.stats.details': 'Mostra os cliques dos últimos 7 dias, dispositivos, navegadores, países, origens, campanhas e leituras de QR. As estatísticas são privadas para o dono do link, a menos que ele ative /publicstats.',
+    'commands.mylinks.summary': 'Mostra seus links recentes',
+    'commands.dashboard.summary': 'Gerencie todos os seus links no navegador',
+    'commands.dashboard.details': 'Responde com um link de acesso pessoal ao painel web. O link funciona uma única vez e expira em 15 minutos.',
+    'commands.edit.summary': 'Muda o destino de um link',
+    'commands.edit.details': 'O link curto e as estatísticas continuam os mesmos. Os destinos anteriores aparecem em /stats.',
+    'commands.disable.summary': 'Faz um link parar de redirecionar',
+    'commands.enable.summary': 'Reativa um link desativado',
+    'commands.delete.summary': 'Apaga um link definitivamente',
+    'commands.delete.details': 'Remove o link e todas as estatísticas de cliques. Você vai precisar confirmar com */delete [código] confirm*.',
+    'commands.publicstats.summary': 'Deixa qualquer pessoa ver as estatísticas de um link',
+    'commands.qr.summary': 'Gera um QR code para um link',
+    'commands.qr.details': 'As leituras do QR code são contadas separadamente como cliques de QR em /stats.',
+    'commands.export.summary': 'Baixa os cliques de um link em CSV',
+    'commands.export.details': 'Envia um arquivo CSV com uma linha por clique. Os endereços IP são anonimizados.',
+    'commands.utm.summary': 'Salva e gerencia presets UTM para /shorten',
+    'commands.utm.details': 'Use um preset salvo com */shorten [url] utm=[nome]*.',
+    'commands.apikey.summary': 'Gerencia chaves da API REST',
+    'commands.apikey.details': 'As chaves aparecem uma única vez, ao serem criadas, e são guardadas com hash. Envie-as como "Authorization: Bearer [chave]".',
+    'commands.autoshorten.summary': 'Só em grupos: encurta todo link enviado no grupo (admins)',
+    'commands.autoshorten.details': 'Em grupos eu só respondo comandos e mensagens que me mencionam. Os admins do grupo podem ativar o encurtamento automático para que todo link enviado seja encurtado.',
+    'commands.lang.summary': 'Escolhe o idioma das minhas respostas',
+    'commands.lang.details': 'Por padrão eu escolho o idioma pelo código do país do seu número. Envie */lang auto* para voltar a esse padrão.',
+    'commands.help.summary': 'Mostra todos os comandos ou os detalhes de um deles',
+    'commands.start.summary': 'Mostra a mensagem de boas-vindas',
+
+    // Shortening
+    'link.created': `✅ *Link encurtado com sucesso!*
+
+🔗 *URL curta:* {shortUrl}
+📋 *Original:* {originalUrl}
+📊 *Código:* {code}{limits}
+
+*Recursos:*
+• 📈 Contagem de cliques ativada
+• 📱 Estatísticas de dispositivo e navegador
+• 🔄 Estatísticas em tempo real`,
+    'link.createdFooter': 'Envie /mylinks para ver todos os seus links ou /help para mais comandos',
+    'link.expires': '⏳ *Expira em:* {date}',
+    'link.clickLimit': '🎯 *Limite de cliques:* {count}',
+    'link.passwordProtected': '🔒 *Protegido por senha*',
+    'link.batchShortened': `✅ *{shortened} de {total} links encurtados*
+
+{lines}
+
+Envie */stats [código]* para ver as estatísticas de qualquer um deles.`,
+    'button.stats': '📊 Estatísticas',
+    'button.qr': '📷 QR code',
+    'button.disable': '⏸️ Desativar',
+    'button.enable': '▶️ Ativar',
+    'button.delete': '🗑️ Apagar',
+    'interactive.quickActions': '*Ações rápidas:*',
+    'interactive.send': 'envie *{command}*',
+
+    // Stats
+    'stats.private': '🔒 As estatísticas deste link são privadas. Só quem criou o link pode vê-las.',
+    'stats.report': `📊 *Estatísticas do link*
+
+🔗 *URL curta:* {shortUrl}
+📈 *Total de cliques:* {totalClicks}
+👥 *Cliques únicos:* {uniqueClicks}
+📅 *Cliques hoje:* {todayClicks}
+📷 *Leituras de QR:* {qrClicks}
+📉 *Últimos 7 dias:* {sparkline} ({weekTotal})
+🤖 *Acessos de bots e prévias:* {botClicks} _(não contados)_
+
+*Dispositivos:*
+{devices}
+
+*Principais navegadores:*
+{browsers}
+
+*Principais sistemas operacionais:*
+{operatingSystems}
+
+*Principais países:*
+{countries}
+
+*Principais origens:*
+{referrers}
+
+*Campanhas (source / medium / campaign):*
+{campaigns}
+
+*Criado em:* {created}{limits}{history}
+
+{statsLink}`,
+    'stats.noClicks': 'Nenhum clique ainda',
+    'stats.noTaggedClicks': 'Nenhum clique com tags ainda',
+    'stats.history': '*Mudanças de destino:*',
+    'stats.visibility': '🌐 *As estatísticas são {visibility}* - envie */publicstats {code} {toggle}* para mudar\n\nVeja as estatísticas detalhadas (link privado, válido por 7 dias): {url}',
+    'stats.public': 'públicas',
+    'stats.privateLabel': 'privadas',
+    'stats.publicLink': 'Veja as estatísticas detalhadas: {url}',
+    'stats.nowPublic': '🌐 *As estatísticas agora são públicas*\n\nQualquer pessoa pode ver as estatísticas de {shortUrl} com */stats {code}* ou em {url}',
+    'stats.nowPrivate': '🔒 *As estatísticas agora são privadas*\n\nSó você pode ver as estatísticas de {shortUrl}.',
+
+    // Managing links
+    'links.none': '📝 Você ainda não criou nenhum link curto. Me envie uma URL para começar!',
+    'links.recent': `🔗 *Seus links curtos recentes*
+
+*Total de links criados:* {total}
+
+_Mostrando seus {count} links mais recentes. Escolha um para ver as estatísticas, ou envie /dashboard para ver todos._`,
+    'links.listTitle': 'Seus links recentes',
+    'links.listButton': 'Ver links',
+    'links.disabledTag': '⏸️ desativado',
+    'links.row': '{shortUrl} | 📊 {clicks} cliques | {created}',
+    'links.dashboard': `🖥️ *Seu painel de links*
+
+{url}
+
+Pesquise, ordene e gerencie todos os seus links no navegador.
+
+⚠️ Este link de acesso é pessoal, funciona uma única vez e expira em 15 minutos. Não compartilhe.`,
+    'links.updated': `✏️ *Link atualizado!*
+
+🔗 *URL curta:* {shortUrl}
+📋 *Novo destino:* {originalUrl}
+↩️ *Anterior:* {previousUrl}
+
+O link curto e as estatísticas continuam os mesmos.`,
+    'links.disabled': '⏸️ *Link desativado*\n\n{shortUrl} não vai mais redirecionar.',
+    'links.enabled': '▶️ *Link ativado*\n\n{shortUrl} voltou a redirecionar.',
+    'links.confirmDelete': '⚠️ *Apagar {shortUrl}?*\n\nIsso remove definitivamente o link e todas as estatísticas de cliques ({clicks} cliques).\n\nEnvie */delete {code} confirm* para continuar.',
+    'links.deleted': '🗑️ *Link apagado*\n\n{shortUrl} e as estatísticas foram removidos.',
+    'links.qrCaption': '📷 *QR code de {shortUrl}*\n\nAs leituras aparecem como cliques de QR em */stats {code}*.\nQualidade para impressão: {svgUrl}',
+    'links.exportCaption': '📤 Exportação de cliques de {shortUrl} (endereços IP anonimizados)',
+
+    // UTM presets
+    'utm.saved': '🏷️ *Preset UTM salvo*\n\n*{name}:* {tags}\n\nUse com */shorten [url] utm={name}*',
+    'utm.deleted': '🗑️ Preset UTM *{name}* apagado.',
+    'utm.notFound': '❌ Nenhum preset UTM chamado "{name}".',
+    'utm.list': '🏷️ *Seus presets UTM*\n\n{presets}\n\nUse um com */shorten [url] utm=[nome]*',
+    'utm.none': '🏷️ Você ainda não tem presets UTM.\n\nSalve um com */utm save [nome] [source/medium/campaign]*\nExemplo: /utm save news newsletter/email/oct-launch',
+
+    // API keys
+    'apiKeys.created': `🔑 *Nova chave de API{name}*
+
+{key}
+
+⚠️ Esta é a única vez que a chave aparece. Guarde-a em um lugar seguro e apague esta mensagem.
+
+Use como bearer token:
+Authorization: Bearer {prefix}...
+
+Revogue quando quiser com */apikey revoke {prefix}*`,
+    'apiKeys.revoked': '🔒 Chave de API *{prefix}* revogada. Requisições com ela serão recusadas.',
+    'apiKeys.notFound': '❌ Nenhuma chave de API ativa começando com "{prefix}". Envie */apikey list* para ver suas chaves.',
+    'apiKeys.list': '🔑 *Suas chaves de API*\n\n{keys}\n\nRevogue uma com */apikey revoke [prefixo]*',
+    'apiKeys.row': '• *{prefix}*{name}\n   Criada em: {created} | Último uso: {lastUsed}',
+    'apiKeys.never': 'nunca',
+    'apiKeys.none': '🔑 Você ainda não tem chaves de API. Envie */apikey new [nome]* para criar uma.',
+
+    // Groups
+    'groups.autoShortenGroupsOnly': '👥 */autoshorten* só funciona em grupos. No privado eu sempre encurto os links que você envia.',
+    'groups.autoShortenStatus': '👥 O encurtamento automático está *{status}* neste grupo. Os admins podem mudar com */autoshorten {toggle}*.',
+    'groups.on': 'ativado',
+    'groups.off': 'desativado',
+    'groups.adminsOnly': '🚫 Só os admins do grupo podem mudar o encurtamento automático.',
+    'groups.autoShortenOn': '✅ *Encurtamento automático ativado* - vou encurtar todo link enviado neste grupo.',
+    'groups.autoShortenOff': '⏸️ *Encurtamento automático desativado* - me mencione ou use */shorten* para encurtar links neste grupo.',
+
+    // Languages
+    'lang.current': '🌐 Estou respondendo em *{language}*{source}.\n\nMude com */lang [código]*: {available}',
+    'lang.detected': ' (escolhido pelo seu número)',
+    'lang.changed': '🌐 Pronto! A partir de agora vou responder em *{language}*.',
+    'lang.auto': '🌐 Pronto! Vou voltar a escolher o idioma pelo seu número - agora *{language}*.',
+
+    // Errors from parsing options and from the services
+    'errors.invalidUtmTags': '❌ Tags UTM inválidas. Use source/medium/campaign, ex.: utm=newsletter/email/oct-launch.',
+    'errors.invalidPresetName': '❌ Nomes de preset só podem ter letras, números, - e _ (até 30 caracteres).',
+    'errors.invalidExpiry': '❌ Validade inválida. Use uma duração como 30m, 12h, 7d ou 2w, ou uma data futura como 2026-12-31.',
+    'errors.invalidClickLimit': '❌ Limite de cliques inválido. Use um número inteiro, ex.: max 100.',
+    'errors.passwordTooShort': '❌ A senha precisa ter pelo menos 4 caracteres.',
+    'errors.unknownOption': '❌ Opção desconhecida "{option}". Opções disponíveis: expires, max, password, utm',
+    'errors.invalidUrl': '❌ Formato de URL inválido',
+    'errors.aliasTaken': '❌ O nome "{alias}" já está em uso.',
+    'errors.presetNotFound': '❌ Nenhum preset UTM chamado "{name}". Envie */utm list* para ver seus presets.',
+    'errors.linkNotFound': '❌ Link não encontrado. Confira o código e tente novamente.',
+    'errors.notLinkOwner': '🚫 Você só pode gerenciar links que você criou.',
+    'errors.sameUrl': 'ℹ️ O link já aponta para essa URL.',
+    'errors.tooManyApiKeys': '⚠️ Você já tem {max} chaves de API ativas. Revogue uma com */apikey revoke [prefixo]* primeiro.',
+    'security.rateLimit': '⚠️ Muitos links criados. Aguarde um pouco antes de criar mais.',
+    'security.urlTooLong': '❌ URL longa demais. O máximo é 2000 caracteres.',
+    'security.checkFailed': '❌ A verificação de segurança falhou. Tente novamente.',
+    'security.blockedDomain': '🚫 Este domínio não é permitido por motivos de segurança.',
+    'security.suspiciousPattern': '⚠️ Esta URL contém padrões suspeitos e não pode ser encurtada.',
+    'security.urlNotFound': '❌ A URL parece estar quebrada ou inacessível.',
+    'security.reservedAlias': '🚫 "{alias}" é um nome reservado. Escolha outro nome.',
+    'security.invalidAlias': '❌ Os nomes precisam ter de 3 a 30 caracteres e usar só letras, números, "-" ou "_".',
+
+    // Web pages
+    'web.createLink': 'Crie um link curto com o nosso bot de WhatsApp',
+    'web.notFound.title': 'Link não encontrado',
+    'web.notFound.heading': '🔍 Link não encontrado',
+    'web.notFound.message': 'O link curto "{code}" não existe ou foi desativado.',
+    'web.expired.title': 'Link expirado',
+    'web.expired.heading': '⌛ Link expirado',
+    'web.expired.message': 'O link curto "{code}" expirou e não redireciona mais.',
+    'web.expired.hint': 'Peça um link atualizado para quem compartilhou.',
+    'web.password.title': 'Senha necessária',
+    'web.password.heading': '🔒 Senha necessária',
+    'web.password.message': 'O link curto "{code}" é protegido por senha.',
+    'web.password.placeholder': 'Senha',
+    'web.password.submit': 'Desbloquear',
+    'web.password.incorrect': 'Senha incorreta. Tente novamente.',
+    'web.preview.title': 'Prévia do link',
+    'web.preview.heading': '🔗 Prévia do link',
+    'web.preview.shortUrl': 'URL curta:',
+    'web.preview.originalUrl': 'URL original:',
+    'web.preview.passwordProtected': '🔒 Protegido por senha',
+    'web.preview.totalClicks': 'Total de cliques',
+    'web.preview.uniqueClicks': 'Cliques únicos',
+    'web.preview.continue': 'Continuar para o link original',
+    'web.preview.created': 'Criado em: {date}'
+}
@@ -0,0 +1,66 @@
+const { storageBackend } = require('../config/database')
+
+// Every backend exposes the same repositories:
+//
+// users
+//   findByPhone(phoneNumber)              -> user | null
+//   create({ phone_number, username, display_name }) -> user
+//   update(id, fields)                    -> user
+//
+// links (rows from shortened_links; lookups include the owner as `users`)
+//   findByCode(shortCode)                 -> link | null, active or not
+//   findActiveByCode(shortCode)           -> link | null
+//   listByUser(userId)                    -> links, newest first
+//   create(fields)                        -> link
+//   update(id, fields)                    -> link
+//   incrementClicks(id, totalClicks, uniqueClicks) -> atomic, safe under concurrent clicks
+//   recomputeClickCounters(id = null)     -> rebuilds counters from clicks, returns links changed
+//   delete(id)                            -> also removes the link's URL history
+//
+// clicks (rows from link_clicks)
+//   findClickedIps(linkId, ipAddresses)   -> the subset of ipAddresses with earlier human clicks
+//   createMany(rows)
+//   listPage(linkId, { offset, limit })   -> clicks, oldest first
+//   countSince(linkId, since)             -> number
+//   timeseries(linkId, { from, to, interval, timeZone })
+//                                         -> [{ start, local, total, unique }], one per hour/day/week
+//   summary(linkId, { todayStart, limit }) -> [{ dimension, value, clicks }]: the today / qr / bots totals,
+//                                         then the top `limit` values per dimension, for /stats
+//   deleteByLink(linkId)
+//
+// linkHistory (rows from link_url_history)
+//   create({ link_id, previous_url, new_url })
+//   listByLink(linkId)                    -> changes, newest first
+//
+// utmPresets (rows from utm_presets)
+//   listByUser(userId)                    -> presets, by name
+//   findByName(userId, name)              -> preset | null
+//   save({ user_id, name, utm_source, utm_medium, utm_campaign }) -> preset, replacing one with the same name
+//   delete(userId, name)                  -> boolean, whether a preset was removed
+//
+// apiKeys (rows from api_keys)
+//   create({ user_id, name, key_prefix, key_hash }) -> key
+//   findActiveByHash(keyHash)             -> key with its owner as `users` | null, ignores revoked keys
+//   listActiveByUser(userId)              -> keys that are not revoked, newest first
+//   revoke(userId, keyPrefix)             -> boolean, whether a key was revoked
+//   touch(id)                             -> records last_used_at
+//
+// groupSettings (rows from group_settings, keyed by WhatsApp group id)
+//   findByGroup(groupJid)                 -> settings | null
+//   save({ group_jid, auto_shorten, updated_by }) -> settings, creating the row if needed
+//
+// usedTokens (rows from used_tokens, keyed by the token's jti)
+//   claim(jti, expiresAt)                 -> true the first time, false if already used; drops expired rows
+//
+// testConnection()                        -> boolean
+const backends = {
+    supabase: () => require('./supabaseRepository'),
+    memory: () => require('./memoryRepository')
+}
+
+if (!backends[storageBackend]) {
+    console.error(`❌ Unknown STORAGE_BACKEND "${storageBackend}". Use one of: ${Object.keys(backends).join(', ')}`)
+    process.exit(1)
+}
+
+module.exports = backends[storageBackend]()
@@ -0,0 +1,386 @@
+const crypto = require('crypto')
+const { truncateToInterval, addToLocal, formatLocal, zonedTimeToUtc } = require('../utils/timeZone')
+
+// In-memory storage for local development and tests. Data is lost on restart.
+const tables = {
+    users: [],
+    shortened_links: [],
+    link_clicks: [],
+    link_url_history: [],
+    utm_presets: [],
+    api_keys: [],
+    group_settings: [],
+    used_tokens: []
+}
+
+// Hand out copies so callers can't mutate stored rows
+const copy = (row) => (row ? structuredClone(row) : null)
+
+const now = () => new Date().toISOString()
+
+function withOwner(link) {
+    if (!link) return null
+    const owner = tables.users.find(user => user.id === link.user_id)
+    return {
+        ...copy(link),
+        users: owner
+            ? { phone_number: owner.phone_number, username: owner.username, display_name: owner.display_name }
+            : null
+    }
+}
+
+class MemoryUserRepository {
+    async findByPhone(phoneNumber) {
+        return copy(tables.users.find(user => user.phone_number === phoneNumber))
+    }
+
+    async create(fields) {
+        if (tables.users.some(user => user.phone_number === fields.phone_number)) {
+            throw new Error(`User ${fields.phone_number} already exists`)
+        }
+
+        const user = {
+            id: crypto.randomUUID(),
+            username: null,
+            display_name: null,
+            language: null,
+            total_links_created: 0,
+            created_at: now(),
+            updated_at: now(),
+            ...fields
+        }
+        tables.users.push(user)
+        return copy(user)
+    }
+
+    async update(id, fields) {
+        const user = tables.users.find(row => row.id === id)
+        if (!user) throw new Error(`User ${id} not found`)
+
+        Object.assign(user, fields, { updated_at: now() })
+        return copy(user)
+    }
+}
+
+class MemoryLinkRepository {
+    async findByCode(shortCode) {
+        return withOwner(tables.shortened_links.find(link => link.short_code === shortCode))
+    }
+
+    async findActiveByCode(shortCode) {
+        return withOwner(tables.shortened_links.find(link => link.short_code === shortCode && link.is_active))
+    }
+
+    async listByUser(userId) {
+        return tables.shortened_links
+            .filter(link => link.user_id === userId)
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+            .map(copy)
+    }
+
+    async create(fields) {
+        if (tables.shortened_links.some(link => link.short_code === fields.short_code)) {
+            throw new Error(`Short code ${fields.short_code} already exists`)
+        }
+
+        const link = {
+            id: crypto.randomUUID(),
+            total_clicks: 0,
+            unique_clicks: 0,
+            is_active: true,
+            public_stats: false,
+            created_at: now(),
+            ...fields
+        }
+        tables.shortened_links.push(link)
+        return copy(link)
+    }
+
+    async update(id, fields) {
+        const link = tables.shortened_links.find(row => row.id === id)
+        if (!link) throw new Error(`Link ${id} not found`)
+
+        Object.assign(link, fields)
+        return copy(link)
+    }
+
+    async incrementClicks(id, totalClicks, uniqueClicks) {
+        const link = tables.shortened_links.find(row => row.id === id)
+        if (!link) throw new Error(`Link ${id} not found`)
+
+        link.total_clicks += totalClicks
+        link.unique_clicks += uniqueClicks
+    }
+
+    async recomputeClickCounters(id = null) {
+        let repaired = 0
+
+        for (const link of tables.shortened_links) {
+            if (id && link.id !== id) continue
+
+            const linkClicks = tables.link_clicks.filter(click => click.link_id === link.id && !click.is_bot)
+            const totalClicks = linkClicks.length
+            const uniqueClicks = new Set(linkClicks.map(click => click.ip_address)).size
+
+            if (link.total_clicks !== totalClicks || link.unique_clicks !== uniqueClicks) {
+                link.total_clicks = totalClicks
+                link.unique_clicks = uniqueClicks
+                repaired++
+            }
+        }
+
+        return repaired
+    }
+
+    async delete(id) {
+        tables.shortened_links = tables.shortened_links.filter(link => link.id !== id)
+        // Mirrors the foreign key cascade in the database
+        tables.link_url_history = tables.link_url_history.filter(change => change.link_id !== id)
+    }
+}
+
+class MemoryClickRepository {
+    async findClickedIps(linkId, ipAddresses) {
+        const clickedIps = tables.link_clicks
+            .filter(click => click.link_id === linkId && !click.is_bot && ipAddresses.includes(click.ip_address))
+            .map(click => click.ip_address)
+        return [...new Set(clickedIps)]
+    }
+
+    async createMany(rows) {
+        for (const fields of rows) {
+            tables.link_clicks.push({
+                id: crypto.randomUUID(),
+                clicked_at: now(),
+                ...fields
+            })
+        }
+    }
+
+    async listPage(linkId, { offset, limit }) {
+        return tables.link_clicks
+            .filter(click => click.link_id === linkId)
+            .sort((a, b) => new Date(a.clicked_at) - new Date(b.clicked_at))
+            .slice(offset, offset + limit)
+            .map(copy)
+    }
+
+    async countSince(linkId, since) {
+        return tables.link_clicks.filter(click =>
+            click.link_id === linkId && new Date(click.clicked_at) >= since
+        ).length
+    }
+
+    async timeseries(linkId, { from, to, interval, timeZone }) {
+        const buckets = new Map()
+        const last = formatLocal(truncateToInterval(new Date(to.getTime() - 1), interval, timeZone))
+
+        for (let local = truncateToInterval(from, interval, timeZone); ; local = addToLocal(local, interval)) {
+            const key = formatLocal(local)
+            buckets.set(key, {
+                start: zonedTimeToUtc(local, timeZone).toISOString(),
+                local: key,
+                total: 0,
+                ips: new Set()
+            })
+            if (key >= last) break
+        }
+
+        for (const click of tables.link_clicks) {
+            const clickedAt = new Date(click.clicked_at)
+            if (click.link_id !== linkId || click.is_bot || clickedAt < from || clickedAt >= to) continue
+
+            const bucket = buckets.get(formatLocal(truncateToInterval(clickedAt, interval, timeZone)))
+            bucket.total++
+            bucket.ips.add(click.ip_address)
+        }
+
+        return [...buckets.values()].map(({ ips, ...bucket }) => ({ ...bucket, unique: ips.size }))
+    }
+
+    async summary(linkId, { todayStart, limit }) {
+        const totals = { today: 0, qr: 0, bots: 0 }
+        const counts = new Map()
+        const count = (dimension, value) => {
+            const key = `${dimension}\u0000${value}`
+            const row = counts.get(key) || { dimension, value, clicks: 0 }
+            row.clicks++
+            counts.set(key, row)
+        }
+
+        for (const click of tables.link_clicks.filter(click => click.link_id === linkId)) {
+            if (click.is_bot) {
+                totals.bots++
+                count('bot', click.browser || 'Unknown')
+                continue
+            }
+
+            count('device', click.device_type)
+            count('browser', click.browser || 'Unknown')
+            count('os', click.os || 'Unknown')
+            count('country', click.country || 'Unknown')
+            count('referrer', click.referrer_domain || 'Direct')
+            if (click.utm_source || click.utm_medium || click.utm_campaign) {
+                count('campaign', [click.utm_source, click.utm_medium, click.utm_campaign].map(tag => tag || '-').join(' / '))
+            }
+            if (new Date(click.clicked_at) >= todayStart) totals.today++
+            if (click.source === 'qr') totals.qr++
+        }
+
+        // Same shape as link_click_summary(): totals first, then the top `limit` values per dimension
+        const ranked = [...counts.values()]
+            .sort((a, b) => a.dimension.localeCompare(b.dimension) || b.clicks - a.clicks || a.value.localeCompare(b.value))
+            .filter((row, index, rows) => index < limit || rows[index - limit].dimension !== row.dimension)
+
+        return [
+            ...Object.entries(totals).map(([dimension, clicks]) => ({ dimension, value: null, clicks })),
+            ...ranked
+        ]
+    }
+
+    async deleteByLink(linkId) {
+        tables.link_clicks = tables.link_clicks.filter(click => click.link_id !== linkId)
+    }
+}
+
+class MemoryLinkHistoryRepository {
+    async create(fields) {
+        tables.link_url_history.push({
+            id: crypto.randomUUID(),
+            changed_at: now(),
+            ...fields
+        })
+    }
+
+    async listByLink(linkId) {
+        return tables.link_url_history
+            .filter(change => change.link_id === linkId)
+            .sort((a, b) => new Date(b.changed_at) - new Date(a.changed_at))
+            .map(({ previous_url, new_url, changed_at }) => ({ previous_url, new_url, changed_at }))
+    }
+}
+
+class MemoryUtmPresetRepository {
+    async listByUser(userId) {
+        return tables.utm_presets
+            .filter(preset => preset.user_id === userId)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(copy)
+    }
+
+    async findByName(userId, name) {
+        return copy(tables.utm_presets.find(preset => preset.user_id === userId && preset.name === name))
+    }
+
+    async save(fields) {
+        const existing = tables.utm_presets.find(preset => preset.user_id === fields.user_id && preset.name === fields.name)
+        if (existing) {
+            Object.assign(existing, fields)
+            return copy(existing)
+        }
+
+        const preset = { id: crypto.randomUUID(), created_at: now(), ...fields }
+        tables.utm_presets.push(preset)
+        return copy(preset)
+    }
+
+    async delete(userId, name) {
+        const before = tables.utm_presets.length
+        tables.utm_presets = tables.utm_presets.filter(preset => !(preset.user_id === userId && preset.name === name))
+        return tables.utm_presets.length < before
+    }
+}
+
+class MemoryApiKeyRepository {
+    async create(fields) {
+        const key = {
+            id: crypto.randomUUID(),
+            name: null,
+            created_at: now(),
+            last_used_at: null,
+            revoked_at: null,
+            ...fields
+        }
+        tables.api_keys.push(key)
+        return copy(key)
+    }
+
+    async findActiveByHash(keyHash) {
+        const key = tables.api_keys.find(row => row.key_hash === keyHash && !row.revoked_at)
+        if (!key) return null
+
+        const owner = tables.users.find(user => user.id === key.user_id)
+        return {
+            ...copy(key),
+            users: owner
+                ? { id: owner.id, phone_number: owner.phone_number, username: owner.username, display_name: owner.display_name }
+                : null
+        }
+    }
+
+    async listActiveByUser(userId) {
+        return tables.api_keys
+            .filter(key => key.user_id === userId && !key.revoked_at)
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+            .map(({ id, name, key_prefix, created_at, last_used_at }) => ({ id, name, key_prefix, created_at, last_used_at }))
+    }
+
+    async revoke(userId, keyPrefix) {
+        const key = tables.api_keys.find(row => row.user_id === userId && row.key_prefix === keyPrefix && !row.revoked_at)
+        if (!key) return false
+
+        key.revoked_at = now()
+        return true
+    }
+
+    async touch(id) {
+        const key = tables.api_keys.find(row => row.id === id)
+        if (key) key.last_used_at = now()
+    }
+}
+
+class MemoryGroupSettingsRepository {
+    async findByGroup(groupJid) {
+        return copy(tables.group_settings.find(settings => settings.group_jid === groupJid))
+    }
+
+    async save(fields) {
+        let settings = tables.group_settings.find(row => row.group_jid === fields.group_jid)
+        if (!settings) {
+            settings = { auto_shorten: false }
+            tables.group_settings.push(settings)
+        }
+
+        Object.assign(settings, fields, { updated_at: now() })
+        return copy(settings)
+    }
+}
+
+class MemoryUsedTokenRepository {
+    async claim(jti, expiresAt) {
+        const cutoff = now()
+        tables.used_tokens = tables.used_tokens.filter(token => token.expires_at > cutoff)
+        if (tables.used_tokens.some(token => token.jti === jti)) return false
+
+        tables.used_tokens.push({ jti, expires_at: new Date(expiresAt).toISOString(), used_at: cutoff })
+        return true
+    }
+}
+
+async function testConnection() {
+    console.log('✅ Using in-memory storage (data is lost on restart)')
+    return true
+}
+
+module.exports = {
+    name: 'memory',
+    users: new MemoryUserRepository(),
+    links: new MemoryLinkRepository(),
+    clicks: new MemoryClickRepository(),
+    linkHistory: new MemoryLinkHistoryRepository(),
+    utmPresets: new MemoryUtmPresetRepository(),
+    apiKeys: new MemoryApiKeyRepository(),
+    groupSettings: new MemoryGroupSettingsRepository(),
+    usedTokens: new MemoryUsedTokenRepository(),
+    testConnection
+}
@@ -0,0 +1,467 @@
+const { supabase } = require('../config/database')
+
+// PGRST116 is "no rows found", which lookups report as null
+const NOT_FOUND = 'PGRST116'
+const UNIQUE_VIOLATION = '23505'
+
+const LINK_WITH_OWNER = `
+    *,
+    users (
+        phone_number,
+        username,
+        display_name
+    )
+`
+
+class SupabaseUserRepository {
+    constructor(client) {
+        this.client = client
+    }
+
+    async findByPhone(phoneNumber) {
+        const { data, error } = await this.client
+            .from('users')
+            .select('*')
+            .eq('phone_number', phoneNumber)
+            .single()
+
+        if (error && error.code !== NOT_FOUND) throw error
+        return data
+    }
+
+    async create(fields) {
+        const { data, error } = await this.client
+            .from('users')
+            .insert([fields])
+            .select()
+            .single()
+
+        if (error) throw error
+        return data
+    }
+
+    async update(id, fields) {
+        const { data, error } = await this.client
+            .from('users')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select()
+            .single()
+
+        if (error) throw error
+        return data
+    }
+}
+
+class SupabaseLinkRepository {
+    constructor(client) {
+        this.client = client
+    }
+
+    async findByCode(shortCode) {
+        const { data, error } = await this.client
+            .from('shortened_links')
+            .select(LINK_WITH_OWNER)
+            .eq('short_code', shortCode)
+            .single()
+
+        if (error && error.code !== NOT_FOUND) throw error
+        return data
+    }
+
+    async findActiveByCode(shortCode) {
+        const { data, error } = await this.client
+            .from('shortened_links')
+            .select(LINK_WITH_OWNER)
+            .eq('short_code', shortCode)
+            .eq('is_active', true)
+            .single()
+
+        if (error && error.code !== NOT_FOUND) throw error
+        return data
+    }
+
+    async listByUser(userId) {
+        const { data, error } = await this.client
+            .from('shortened_links')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+
+        if (error) throw error
+        return data || []
+    }
+
+    async create(fields) {
+        const { data, error } = await this.client
+            .from('shortened_links')
+            .insert([fields])
+            .select()
+            .single()
+
+        if (error) throw error
+        return data
+    }
+
+    async update(id, fields) {
+        const { data, error } = await this.client
+            .from('shortened_links')
+            .update(fields)
+            .eq('id', id)
+            .select()
+            .single()
+
+        if (error) throw error
+        return data
+    }
+
+    // Atomic server-side increment, see increment_link_clicks()
+    async incrementClicks(id, totalClicks, uniqueClicks) {
+        const { error } = await this.client.rpc('increment_link_clicks', {
+            p_link_id: id,
+            p_total: totalClicks,
+            p_unique: uniqueClicks
+        })
+
+        if (error) throw error
+    }
+
+    // Rebuild counters from link_clicks, see recompute_link_click_counters()
+    async recomputeClickCounters(id = null) {
+        const { data, error } = await this.client.rpc('recompute_link_click_counters', {
+            p_link_id: id
+        })
+
+        if (error) throw error
+        return data || 0
+    }
+
+    async delete(id) {
+        // link_url_history rows are removed by the foreign key cascade
+        const { error } = await this.client
+            .from('shortened_links')
+            .delete()
+            .eq('id', id)
+
+        if (error) throw error
+    }
+}
+
+class SupabaseClickRepository {
+    constructor(client) {
+        this.client = client
+    }
+
+    async findClickedIps(linkId, ipAddresses) {
+        const { data, error } = await this.client
+            .from('link_clicks')
+            .select('ip_address')
+            .eq('link_id', linkId)
+            .eq('is_bot', false)
+            .in('ip_address', ipAddresses)
+
+        if (error) throw error
+        return [...new Set(data.map(click => click.ip_address))]
+    }
+
+    async createMany(rows) {
+        const { error } = await this.client
+            .from('link_clicks')
+            .insert(rows)
+
+        if (error) throw error
+    }
+
+    async listPage(linkId, { offset, limit }) {
+        const { data, error } = await this.client
+            .from('link_clicks')
+            .select('*')
+            .eq('link_id', linkId)
+            .order('clicked_at', { ascending: true })
+            .order('id', { ascending: true })
+            .range(offset, offset + limit - 1)
+
+        if (error) throw error
+        return data || []
+    }
+
+    async countSince(linkId, since) {
+        const { count, error } = await this.client
+            .from('link_clicks')
+            .select('id', { count: 'exact', head: true })
+            .eq('link_id', linkId)
+            .gte('clicked_at', since.toISOString())
+
+        if (error) throw error
+        return count || 0
+    }
+
+    // Bucketed counts, see link_click_timeseries()
+    async timeseries(linkId, { from, to, interval, timeZone }) {
+        const { data, error } = await this.client.rpc('link_click_timeseries', {
+            p_link_id: linkId,
+            p_from: from.toISOString(),
+            p_to: to.toISOString(),
+            p_interval: interval,
+            p_time_zone: timeZone
+        })
+
+        if (error) throw error
+        return (data || []).map(row => ({
+            start: new Date(row.bucket_start).toISOString(),
+            local: row.bucket_local.slice(0, 16),
+            total: Number(row.total_clicks),
+            unique: Number(row.unique_clicks)
+        }))
+    }
+
+    // Grouped counts, see link_click_summary()
+    async summary(linkId, { todayStart, limit }) {
+        const { data, error } = await this.client.rpc('link_click_summary', {
+            p_link_id: linkId,
+            p_today_start: todayStart.toISOString(),
+            p_limit: limit
+        })
+
+        if (error) throw error
+        return (data || []).map(row => ({ dimension: row.dimension, value: row.value, clicks: Number(row.clicks) }))
+    }
+
+    async deleteByLink(linkId) {
+        const { error } = await this.client
+            .from('link_clicks')
+            .delete()
+            .eq('link_id', linkId)
+
+        if (error) throw error
+    }
+}
+
+class SupabaseLinkHistoryRepository {
+    constructor(client) {
+        this.client = client
+    }
+
+    async create(fields) {
+        const { error } = await this.client
+            .from('link_url_history')
+            .insert([fields])
+
+        if (error) throw error
+    }
+
+    async listByLink(linkId) {
+        const { data, error } = await this.client
+            .from('link_url_history')
+            .select('previous_url, new_url, changed_at')
+            .eq('link_id', linkId)
+            .order('changed_at', { ascending: false })
+
+        if (error) throw error
+        return data || []
+    }
+}
+
+class SupabaseUtmPresetRepository {
+    constructor(client) {
+        this.client = client
+    }
+
+    async listByUser(userId) {
+        const { data, error } = await this.client
+            .from('utm_presets')
+            .select('*')
+            .eq('user_id', userId)
+            .order('name')
+
+        if (error) throw error
+        return data || []
+    }
+
+    async findByName(userId, name) {
+        const { data, error } = await this.client
+            .from('utm_presets')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('name', name)
+            .single()
+
+        if (error && error.code !== NOT_FOUND) throw error
+        return data
+    }
+
+    async save(fields) {
+        const { data, error } = await this.client
+            .from('utm_presets')
+            .upsert([fields], { onConflict: 'user_id,name' })
+            .select()
+            .single()
+
+        if (error) throw error
+        return data
+    }
+
+    async delete(userId, name) {
+        const { data, error } = await this.client
+            .from('utm_presets')
+            .delete()
+            .eq('user_id', userId)
+            .eq('name', name)
+            .select('id')
+
+        if (error) throw error
+        return data.length > 0
+    }
+}
+
+class SupabaseApiKeyRepository {
+    constructor(client) {
+        this.client = client
+    }
+
+    async create(fields) {
+        const { data, error } = await this.client
+            .from('api_keys')
+            .insert([fields])
+            .select()
+            .single()
+
+        if (error) throw error
+        return data
+    }
+
+    async findActiveByHash(keyHash) {
+        const { data, error } = await this.client
+            .from('api_keys')
+            .select(`
+                *,
+                users (
+                    id,
+                    phone_number,
+                    username,
+                    display_name
+                )
+            `)
+            .eq('key_hash', keyHash)
+            .is('revoked_at', null)
+            .single()
+
+        if (error && error.code !== NOT_FOUND) throw error
+        return data
+    }
+
+    async listActiveByUser(userId) {
+        const { data, error } = await this.client
+            .from('api_keys')
+            .select('id, name, key_prefix, created_at, last_used_at')
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .order('created_at', { ascending: false })
+
+        if (error) throw error
+        return data || []
+    }
+
+    async revoke(userId, keyPrefix) {
+        const { data, error } = await this.client
+            .from('api_keys')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .eq('key_prefix', keyPrefix)
+            .is('revoked_at', null)
+            .select('id')
+
+        if (error) throw error
+        return data.length > 0
+    }
+
+    async touch(id) {
+        const { error } = await this.client
+            .from('api_keys')
+            .update({ last_used_at: new Date().toISOString() })
+            .eq('id', id)
+
+        if (error) throw error
+    }
+}
+
+class SupabaseGroupSettingsRepository {
+    constructor(client) {
+        this.client = client
+    }
+
+    async findByGroup(groupJid) {
+        const { data, error } = await this.client
+            .from('group_settings')
+            .select('*')
+            .eq('group_jid', groupJid)
+            .single()
+
+        if (error && error.code !== NOT_FOUND) throw error
+        return data
+    }
+
+    async save(fields) {
+        const { data, error } = await this.client
+            .from('group_settings')
+            .upsert([{ ...fields, updated_at: new Date().toISOString() }], { onConflict: 'group_jid' })
+            .select()
+            .single()
+
+        if (error) throw error
+        return data
+    }
+}
+
+class SupabaseUsedTokenRepository {
+    constructor(client) {
+        this.client = client
+    }
+
+    // The primary key on jti makes this atomic: of two concurrent claims only one insert succeeds
+    async claim(jti, expiresAt) {
+        const { error: cleanupError } = await this.client
+            .from('used_tokens')
+            .delete()
+            .lt('expires_at', new Date().toISOString())
+
+        if (cleanupError) throw cleanupError
+
+        const { error } = await this.client
+            .from('used_tokens')
+            .insert([{ jti, expires_at: new Date(expiresAt).toISOString() }])
+
+        if (error?.code === UNIQUE_VIOLATION) return false
+        if (error) throw error
+        return true
+    }
+}
+
+async function testConnection() {
+    try {
+        // Test connection using the new users table
+        const { error } = await supabase.from('users').select('count').single()
+        if (error && error.code !== NOT_FOUND) {
+            throw error
+        }
+        console.log('✅ Supabase connected successfully')
+        return true
+    } catch (error) {
+        console.error('❌ Supabase connection failed:', error.message)
+        console.error('💡 Make sure you\'ve created the new database tables (users, shortened_links, link_clicks)')
+        return false
+    }
+}
+
+module.exports = {
+    name: 'supabase',
+    users: new SupabaseUserRepository(supabase),
+    links: new SupabaseLinkRepository(supabase),
+    clicks: new SupabaseClickRepository(supabase),
+    linkHistory: new SupabaseLinkHistoryRepository(supabase),
+    utmPresets: new SupabaseUtmPresetRepository(supabase),
+    apiKeys: new SupabaseApiKeyRepository(supabase),
+    groupSettings: new SupabaseGroupSettingsRepository(supabase),
+    usedTokens: new SupabaseUsedTokenRepository(supabase),
+    testConnection
+}
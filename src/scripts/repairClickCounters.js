@@ -0,0 +1,19 @@
+// Recompute total_clicks and unique_clicks on shortened_links from link_clicks.
+// Usage: npm run repair:counters [-- <link id>]
+require('dotenv').config()
+const LinkService = require('../services/linkService')
+
+async function main() {
+    const linkId = process.argv[2] || null
+
+    try {
+        console.log(linkId ? `🔄 Repairing click counters for link ${linkId}...` : '🔄 Repairing click counters for all links...')
+        await LinkService.repairClickCounters(linkId)
+        process.exit(0)
+    } catch (error) {
+        console.error('❌ Failed to repair click counters:', error.message)
+        process.exit(1)
+    }
+}
+
+main()
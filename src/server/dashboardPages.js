@@ -0,0 +1,216 @@
+const { escapeHtml } = require('../utils/html')
+
+// Server-rendered pages for the link dashboard (see /dashboard in the bot).
+// Every value that comes from a user or the database goes through escapeHtml().
+class DashboardPages {
+    static layout(title, body) {
+        return `<!DOCTYPE html>
+<html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <title>${escapeHtml(title)}</title>
+        <style>
+            body { font-family: Arial, sans-serif; max-width: 1000px; margin: 0 auto; padding: 20px; background: #f5f5f5; color: #333; }
+            header { display: flex; justify-content: space-between; align-items: center; }
+            .card { background: white; border-radius: 10px; padding: 20px; margin: 15px 0; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+            table { width: 100%; border-collapse: collapse; }
+            th, td { text-align: left; padding: 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+            th a { color: #333; text-decoration: none; }
+            .url { word-break: break-all; color: #666; font-size: 0.9em; }
+            .muted { color: #999; }
+            .notice { color: #1e8449; }
+            .error { color: #c0392b; }
+            input[type=text], input[type=url], input[type=search] { padding: 8px; border: 1px solid #ddd; border-radius: 5px; }
+            button { background: #25D366; color: white; padding: 8px 14px; border: none; border-radius: 5px; cursor: pointer; }
+            button.secondary { background: #7f8c8d; }
+            form.inline { display: inline; }
+            .pagination a, .pagination span { margin-right: 10px; }
+            .breakdowns { display: flex; flex-wrap: wrap; gap: 20px; }
+            .breakdowns div { flex: 1; min-width: 180px; }
+        </style>
+    </head>
+    <body>
+        ${body}
+    </body>
+</html>`
+    }
+
+    static renderMessage(title, message) {
+        return this.layout(title, `
+        <div class="card" style="text-align: center;">
+            <h1>${escapeHtml(title)}</h1>
+            <p>${escapeHtml(message)}</p>
+            <p class="muted">Send <strong>/dashboard</strong> to the WhatsApp bot for a new login link.</p>
+        </div>`)
+    }
+
+    // Landing page of a login link. The token is only used up when the button is pressed.
+    static renderLoginConfirm(token) {
+        return this.layout('Log in', `
+        <div class="card" style="text-align: center;">
+            <h1>🔐 Log in to your dashboard</h1>
+            <p>This login link works once and expires after 15 minutes.</p>
+            <form method="POST" action="/dashboard/login">
+                <input type="hidden" name="token" value="${escapeHtml(token)}">
+                <button type="submit">Log in</button>
+            </form>
+        </div>`)
+    }
+
+    static header(csrfToken) {
+        return `
+        <header>
+            <h1><a href="/dashboard" style="color: #333; text-decoration: none;">🔗 Your Links</a></h1>
+            <form class="inline" method="POST" action="/dashboard/logout">
+                <input type="hidden" name="csrf" value="${escapeHtml(csrfToken)}">
+                <button class="secondary" type="submit">Log out</button>
+            </form>
+        </header>`
+    }
+
+    // List of the user's links with search, sortable columns and pagination
+    static renderLinkList({ links, total, page, pages, search, sort, order, csrfToken }) {
+        const listUrl = (params) => {
+            const query = new URLSearchParams({ q: search, sort, order, page, ...params })
+            if (!query.get('q')) query.delete('q')
+            return `/dashboard?${query}`
+        }
+
+        const sortHeader = (label, key) => {
+            const active = sort === key
+            const nextOrder = active && order === 'desc' ? 'asc' : 'desc'
+            const arrow = active ? (order === 'desc' ? ' ▼' : ' ▲') : ''
+            return `<th><a href="${escapeHtml(listUrl({ sort: key, order: nextOrder, page: 1 }))}">${label}${arrow}</a></th>`
+        }
+
+        const rows = links.map(link => `
+                <tr>
+                    <td>
+                        <a href="/dashboard/links/${encodeURIComponent(link.short_code)}"><strong>${escapeHtml(link.short_code)}</strong></a>
+                        ${link.is_active === false ? '<br><span class="muted">⏸️ disabled</span>' : ''}
+                    </td>
+                    <td class="url">${escapeHtml(link.original_url)}</td>
+                    <td>${link.total_clicks} <span class="muted">(${link.unique_clicks} unique)</span></td>
+                    <td>${escapeHtml(new Date(link.created_at).toLocaleDateString())}</td>
+                    <td>
+                        <form class="inline" method="POST" action="/dashboard/links/${encodeURIComponent(link.short_code)}/toggle">
+                            <input type="hidden" name="csrf" value="${escapeHtml(csrfToken)}">
+                            <button class="${link.is_active === false ? '' : 'secondary'}" type="submit">${link.is_active === false ? 'Enable' : 'Disable'}</button>
+                        </form>
+                    </td>
+                </tr>`).join('')
+
+        const pagination = pages > 1 ? `
+            <p class="pagination">
+                ${page > 1 ? `<a href="${escapeHtml(listUrl({ page: page - 1 }))}">← Previous</a>` : ''}
+                <span>Page ${page} of ${pages}</span>
+                ${page < pages ? `<a href="${escapeHtml(listUrl({ page: page + 1 }))}">Next →</a>` : ''}
+            </p>` : ''
+
+        return this.layout('Your Links', `
+        ${this.header(csrfToken)}
+        <div class="card">
+            <form method="GET" action="/dashboard">
+                <input type="search" name="q" value="${escapeHtml(search)}" placeholder="Search by code or URL" style="width: 60%;">
+                <input type="hidden" name="sort" value="${escapeHtml(sort)}">
+                <input type="hidden" name="order" value="${escapeHtml(order)}">
+                <button type="submit">Search</button>
+            </form>
+            <p class="muted">${total} link(s)${search ? ` matching "${escapeHtml(search)}"` : ''}</p>
+            ${links.length ? `
+            <table>
+                <tr>
+                    ${sortHeader('Code', 'code')}
+                    <th>Destination</th>
+                    ${sortHeader('Clicks', 'clicks')}
+                    ${sortHeader('Created', 'created')}
+                    <th></th>
+                </tr>
+                ${rows}
+            </table>` : '<p>No links found.</p>'}
+            ${pagination}
+        </div>`)
+    }
+
+    // One link: daily click chart, breakdowns and edit/disable actions
+    static renderLinkDetail({ link, stats, daily, csrfToken, notice = null, error = null }) {
+        const code = encodeURIComponent(link.short_code)
+
+        const breakdown = (title, counts) => {
+            const entries = Object.entries(counts || {}).slice(0, 5)
+            return `
+                <div>
+                    <h3>${title}</h3>
+                    ${entries.length
+                        ? `<table>${entries.map(([name, count]) => `<tr><td>${escapeHtml(name)}</td><td>${count}</td></tr>`).join('')}</table>`
+                        : '<p class="muted">No clicks yet</p>'}
+                </div>`
+        }
+
+        return this.layout(`${link.short_code} - Link Details`, `
+        ${this.header(csrfToken)}
+        <p><a href="/dashboard">← All links</a></p>
+        ${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ''}
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        <div class="card">
+            <h2>${escapeHtml(link.short_url)}${link.is_active === false ? ' <span class="muted">⏸️ disabled</span>' : ''}</h2>
+            <p class="url">${escapeHtml(link.original_url)}</p>
+            <p>
+                <strong>${link.total_clicks}</strong> clicks ·
+                <strong>${link.unique_clicks}</strong> unique ·
+                <strong>${stats.todayClicks}</strong> today ·
+                <strong>${stats.qrClicks}</strong> from QR scans ·
+                <span class="muted">${stats.botClicks} bot hits not counted</span>
+            </p>
+            <h3>Clicks per day (last ${daily.length} days)</h3>
+            ${this.barChart(daily)}
+        </div>
+        <div class="card breakdowns">
+            ${breakdown('Devices', stats.deviceBreakdown)}
+            ${breakdown('Browsers', stats.browserBreakdown)}
+            ${breakdown('Countries', stats.countryBreakdown)}
+            ${breakdown('Referrers', stats.referrerBreakdown)}
+            ${breakdown('Campaigns', stats.campaignBreakdown)}
+        </div>
+        <div class="card">
+            <h3>QR code</h3>
+            <p>
+                <img src="/qr/${code}.svg?size=160" width="160" height="160" alt="QR code for ${escapeHtml(link.short_url)}">
+            </p>
+            <p><a href="/qr/${code}.png?size=1024">Download PNG</a> · <a href="/qr/${code}.svg">Download SVG</a></p>
+            <h3>Change destination</h3>
+            <form method="POST" action="/dashboard/links/${code}/edit">
+                <input type="hidden" name="csrf" value="${escapeHtml(csrfToken)}">
+                <input type="url" name="url" value="${escapeHtml(link.original_url)}" required style="width: 70%;">
+                <button type="submit">Save</button>
+            </form>
+            <h3>${link.is_active === false ? 'Enable' : 'Disable'} link</h3>
+            <form method="POST" action="/dashboard/links/${code}/toggle">
+                <input type="hidden" name="csrf" value="${escapeHtml(csrfToken)}">
+                <button class="${link.is_active === false ? '' : 'secondary'}" type="submit">${link.is_active === false ? 'Enable' : 'Disable'}</button>
+            </form>
+        </div>`)
+    }
+
+    // Inline SVG bar chart of [{ local, total }] buckets
+    static barChart(buckets) {
+        const width = 700
+        const height = 160
+        const barWidth = width / Math.max(buckets.length, 1)
+        const max = Math.max(1, ...buckets.map(bucket => bucket.total))
+
+        const bars = buckets.map((bucket, index) => {
+            const barHeight = Math.round((bucket.total / max) * (height - 20))
+            const x = Math.round(index * barWidth)
+            return `<rect x="${x}" y="${height - barHeight}" width="${Math.max(1, Math.floor(barWidth) - 2)}" height="${barHeight}" fill="#25D366"><title>${escapeHtml(bucket.local.slice(0, 10))}: ${bucket.total}</title></rect>`
+        }).join('')
+
+        return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Clicks per day">
+                <text x="0" y="12" font-size="12" fill="#999">max ${max}</text>
+                ${bars}
+            </svg>`
+    }
+}
+
+module.exports = DashboardPages
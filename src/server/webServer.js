@@ -1,9 +1,25 @@
+const { once } = require('events')
 const express = require('express')
 const cors = require('cors')
 const helmet = require('helmet')
 const rateLimit = require('express-rate-limit')
 const LinkService = require('../services/linkService')
 const SecurityService = require('../services/securityService')
+const ExportService = require('../services/exportService')
+const ApiKeyService = require('../services/apiKeyService')
+const QrService = require('../services/qrService')
+const LocaleService = require('../services/localeService')
+const DashboardPages = require('./dashboardPages')
+const { isUserFacingError } = require('../utils/errors')
+const { escapeHtml } = require('../utils/html')
+const clickQueue = require('../services/clickQueue')
+
+const DASHBOARD_COOKIE = 'wey_dashboard'
+const DASHBOARD_SESSION_MS = 12 * 60 * 60 * 1000
+
+// API keys, dashboard sessions and signed links must never end up in the logs
+const REDACTED_HEADERS = ['authorization', 'cookie']
+const REDACTED_QUERY_PARAMS = ['token']
 
 class WebServer {
     constructor() {
@@ -27,8 +43,9 @@ class WebServer {
         this.app.use(helmet())
         this.app.use(cors())
         
-        // Trust proxy for proper IP detection
-        this.app.set('trust proxy', true)
+        // Trust only the proxies in front of us (one on Render) for the client IP. Trusting
+        // every hop would let clients pick their own IP with X-Forwarded-For.
+        this.app.set('trust proxy', Number.parseInt(process.env.TRUST_PROXY_HOPS ?? '1', 10))
         
         // Rate limiting
         const limiter = rateLimit({
@@ -43,8 +60,8 @@ class WebServer {
 
         // Debug middleware to log all requests
         this.app.use((req, res, next) => {
-            console.log(`📥 ${req.method} ${req.url} - IP: ${req.ip}`)
-            console.log(`📋 Headers:`, req.headers)
+            console.log(`📥 ${req.method} ${this.redactUrl(req.url)} - IP: ${req.ip}`)
+            console.log(`📋 Headers:`, this.redactHeaders(req.headers))
             next()
         })
     }
@@ -53,9 +70,17 @@ class WebServer {
         // Health check
         this.app.get('/health', (req, res) => {
             console.log('🏥 Health check requested')
-            res.json({ status: 'OK', timestamp: new Date().toISOString() })
+            res.json({
+                status: 'OK',
+                timestamp: new Date().toISOString(),
+                clickQueue: clickQueue.getStats(),
+                linkCache: LinkService.linkCache.getStats()
+            })
         })
 
+        // Dashboard routes must be registered before /:shortCode catches /dashboard
+        this.setupDashboardRoutes()
+
         // Redirect route - handles short URL clicks
         this.app.get('/:shortCode', async (req, res) => {
             const { shortCode } = req.params
@@ -82,76 +107,21 @@ class WebServer {
 
                 if (!link) {
                     console.log('❌ Link not found, showing 404 page')
-                    return res.status(404).send(`
-                        <html>
-                            <head><title>Link Not Found</title></head>
-                            <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
-                                <h1>🔍 Link Not Found</h1>
-                                <p>The short link "${shortCode}" doesn't exist or has expired.</p>
-                                <a href="https://wa.me/YOUR_BOT_NUMBER" style="color: #25D366;">Create a short link with our WhatsApp bot</a>
-                                <hr>
-                                <p><small>Debug: Searched for "${shortCode}"</small></p>
-                            </body>
-                        </html>
-                    `)
-                }
-
-                // Validate the original URL
-                if (!link.original_url) {
-                    console.error('❌ Link has no original_url')
-                    return res.status(500).send('Invalid link data')
-                }
-
-                // Clean and validate the URL
-                let redirectUrl = link.original_url.trim()
-                
-                // Ensure URL has protocol - be more careful about this
-                if (!redirectUrl.match(/^https?:\/\//i)) {
-                    redirectUrl = 'https://' + redirectUrl
-                    console.log(`🔧 Added https:// to URL: ${redirectUrl}`)
-                }
-
-                // Validate the final URL format
-                try {
-                    new URL(redirectUrl) // This will throw if invalid
-                    console.log(`🎯 Validated redirect URL: ${redirectUrl}`)
-                } catch (urlError) {
-                    console.error('❌ Invalid URL format:', redirectUrl)
-                    return res.status(400).send('Invalid URL format in database')
-                }
-
-                // Track the click BEFORE redirect (important!)
-                try {
-                    const clientIP = req.ip || req.connection.remoteAddress || 'unknown'
-                    const userAgent = req.get('User-Agent') || 'unknown'
-                    const referrer = req.get('Referer') || null
-
-                    console.log('📊 Tracking click:', { clientIP, userAgent: userAgent.substring(0, 50) + '...' })
-                    
-                    if (LinkService.trackClick && typeof LinkService.trackClick === 'function') {
-                        await LinkService.trackClick(link.id, clientIP, userAgent, referrer)
-                        console.log('✅ Click tracked successfully')
-                    } else {
-                        console.log('⚠️ LinkService.trackClick not available')
-                    }
-                } catch (trackError) {
-                    console.error('⚠️ Click tracking failed:', trackError.message)
-                    // Continue with redirect even if tracking fails
-                }
-
-                // Perform the redirect with proper headers
-                console.log(`🚀 Executing redirect to: ${redirectUrl}`)
-                
-                // Set proper headers for redirect
-                res.writeHead(302, {
-                    'Location': redirectUrl,
-                    'Cache-Control': 'no-cache, no-store, must-revalidate',
-                    'Pragma': 'no-cache',
-                    'Expires': '0'
-                })
-                res.end()
-                
-                console.log('✅ Manual redirect sent with headers')
+                    return res.status(404).send(this.renderNotFoundPage(shortCode, this.getPageLocale(req, res)))
+                }
+
+                if (this.isLinkExpired(link)) {
+                    console.log('⌛ Link expired, showing 410 page')
+                    return res.status(410).send(this.renderExpiredPage(shortCode, this.getPageLocale(req, res)))
+                }
+
+                if (link.password_hash) {
+                    console.log('🔒 Password protected link, showing unlock form')
+                    res.set('Cache-Control', 'no-store')
+                    return res.send(this.renderPasswordPage(shortCode, this.getPageLocale(req, res), null, this.getQuerySuffix(req)))
+                }
+
+                await this.redirectToLink(req, res, link)
 
             } catch (error) {
                 console.error('❌ Redirect error:', error)
@@ -172,12 +142,66 @@ class WebServer {
             }
         })
 
+        // Unlock route - checks the password of a protected link before redirecting
+        const unlockLimiter = rateLimit({
+            windowMs: 15 * 60 * 1000, // 15 minutes
+            max: 10, // limit wrong passwords per link and IP
+            skipSuccessfulRequests: true,
+            keyGenerator: (req) => `${req.params.shortCode}:${rateLimit.ipKeyGenerator(req.ip)}`
+        })
+
+        this.app.post('/:shortCode', unlockLimiter, async (req, res) => {
+            const { shortCode } = req.params
+            console.log(`🔑 Unlock requested for shortCode: ${shortCode}`)
+
+            try {
+                const link = await LinkService.getLinkByShortCode(shortCode)
+
+                if (!link) {
+                    return res.status(404).send(this.renderNotFoundPage(shortCode, this.getPageLocale(req, res)))
+                }
+
+                if (this.isLinkExpired(link)) {
+                    return res.status(410).send(this.renderExpiredPage(shortCode, this.getPageLocale(req, res)))
+                }
+
+                // Only the unlock form posts here - other links are opened with GET
+                if (!link.password_hash) {
+                    return res.status(405).set('Allow', 'GET').send('Method Not Allowed')
+                }
+
+                const passwordOk = await LinkService.verifyLinkPassword(link, req.body?.password)
+                if (!passwordOk) {
+                    console.log('❌ Wrong password submitted')
+                    res.set('Cache-Control', 'no-store')
+                    const locale = this.getPageLocale(req, res)
+                    return res.status(401).send(this.renderPasswordPage(shortCode, locale, LocaleService.t(locale, 'web.password.incorrect'), this.getQuerySuffix(req)))
+                }
+
+                await this.redirectToLink(req, res, link)
+            } catch (error) {
+                console.error('❌ Unlock error:', error)
+                res.status(500).send('Internal Server Error')
+            }
+        })
+
         // API route to get link statistics
+        // Private unless the link has public stats - see canViewStats()
         this.app.get('/api/stats/:shortCode', async (req, res) => {
             try {
                 const { shortCode } = req.params
                 console.log(`📊 Stats requested for: ${shortCode}`)
                 
+                const link = await LinkService.getLink(shortCode)
+
+                if (!link) {
+                    return res.status(404).json({ error: 'Link not found' })
+                }
+
+                if (!(await this.canViewStats(req, link))) {
+                    return res.status(403).json({ error: this.privateStatsMessage })
+                }
+
                 const stats = await LinkService.getLinkStats(shortCode)
 
                 if (!stats) {
@@ -191,9 +215,16 @@ class WebServer {
                     totalClicks: stats.total_clicks,
                     uniqueClicks: stats.unique_clicks,
                     todayClicks: stats.todayClicks,
+                    qrClicks: stats.qrClicks,
                     createdAt: stats.created_at,
                     deviceBreakdown: stats.deviceBreakdown,
-                    browserBreakdown: stats.browserBreakdown
+                    browserBreakdown: stats.browserBreakdown,
+                    osBreakdown: stats.osBreakdown,
+                    botClicks: stats.botClicks,
+                    botBreakdown: stats.botBreakdown,
+                    countryBreakdown: stats.countryBreakdown,
+                    referrerBreakdown: stats.referrerBreakdown,
+                    campaignBreakdown: stats.campaignBreakdown
                 }
 
                 res.json(publicStats)
@@ -203,6 +234,204 @@ class WebServer {
             }
         })
 
+        // API route for bucketed click counts
+        // ?from=&to= (ISO 8601), interval=hour|day|week, tz=IANA time zone (default UTC)
+        this.app.get('/api/stats/:shortCode/timeseries', async (req, res) => {
+            try {
+                const { shortCode } = req.params
+                const interval = req.query.interval || 'day'
+                const timeZone = req.query.tz || 'UTC'
+                const defaultRange = { hour: 48, day: 30 * 24, week: 12 * 7 * 24 }[interval] || 0
+
+                const to = req.query.to ? new Date(req.query.to) : new Date()
+                const from = req.query.from
+                    ? new Date(req.query.from)
+                    : new Date(to.getTime() - defaultRange * 60 * 60 * 1000)
+
+                const validationError = LinkService.validateTimeseriesOptions({ from, to, interval, timeZone })
+                if (validationError) {
+                    return res.status(400).json({ error: validationError })
+                }
+
+                const link = await LinkService.getLink(shortCode)
+
+                if (!link) {
+                    return res.status(404).json({ error: 'Link not found' })
+                }
+
+                if (!(await this.canViewStats(req, link))) {
+                    return res.status(403).json({ error: this.privateStatsMessage })
+                }
+
+                console.log(`📈 Timeseries requested for: ${shortCode} (${interval}, ${timeZone})`)
+                const timeseries = await LinkService.getClickTimeseries(shortCode, { from, to, interval, timeZone })
+
+                if (!timeseries) {
+                    return res.status(404).json({ error: 'Link not found' })
+                }
+
+                res.json(timeseries)
+            } catch (error) {
+                console.error('❌ Timeseries API error:', error)
+                res.status(500).json({ error: 'Internal Server Error' })
+            }
+        })
+
+        // Raw click export, streamed page by page with anonymised IPs
+        // Personal API keys can export their own links, ADMIN_API_TOKEN any link
+        this.app.get('/api/links/:shortCode/clicks.:format', (req, res, next) => this.authenticateApi(req, res, next), async (req, res) => {
+            const { shortCode, format } = req.params
+
+            try {
+                if (!['csv', 'json'].includes(format)) {
+                    return res.status(404).json({ error: 'Unknown export format. Use clicks.csv or clicks.json' })
+                }
+
+                const link = await LinkService.getLink(shortCode)
+                if (!link || !this.canManageLink(req, link)) {
+                    return res.status(404).json({ error: 'Link not found' })
+                }
+
+                console.log(`📤 Click export (${format}) requested for: ${shortCode}`)
+                res.set({
+                    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="${link.short_code}-clicks.${format}"`,
+                    'Cache-Control': 'no-store'
+                })
+
+                const chunks = format === 'csv' ? ExportService.csvLines(link.id) : ExportService.jsonChunks(link.id)
+                for await (const chunk of chunks) await this.writeChunk(res, chunk)
+                res.end()
+            } catch (error) {
+                console.error('❌ Click export error:', error)
+                // Once streaming has started the only way to signal failure is to cut the response
+                if (res.headersSent) return res.destroy(error)
+                res.status(500).json({ error: 'Internal Server Error' })
+            }
+        })
+
+        // Link management API, authenticated with a personal API key (see /apikey in the bot)
+        const requireApiUser = (req, res, next) => this.authenticateApi(req, res, next, { requireUser: true })
+
+        this.app.get('/api/links', requireApiUser, async (req, res) => {
+            try {
+                const userData = await LinkService.getUserLinks(req.apiUser.phone_number)
+                res.json({ links: (userData?.shortened_links || []).map(link => this.toApiLink(link)) })
+            } catch (error) {
+                this.sendApiError(res, error, 'List links API')
+            }
+        })
+
+        // Body: { url, alias?, expiresAt?, maxClicks?, password?, utm?: { source, medium, campaign } | "<preset>" }
+        this.app.post('/api/links', requireApiUser, async (req, res) => {
+            try {
+                const { url } = req.body || {}
+                if (typeof url !== 'string' || !url.trim()) {
+                    return res.status(400).json({ error: 'url is required' })
+                }
+
+                const options = this.parseApiLinkOptions(req.body)
+                if (typeof options === 'string') {
+                    return res.status(400).json({ error: options })
+                }
+
+                const { phone_number, username, display_name } = req.apiUser
+                const link = await LinkService.shortenUrl(url.trim(), phone_number, username, display_name, options)
+                res.status(201).json(this.toApiLink(link))
+            } catch (error) {
+                this.sendApiError(res, error, 'Create link API')
+            }
+        })
+
+        // Body: { url?, isActive?, publicStats? }
+        this.app.patch('/api/links/:code', requireApiUser, async (req, res) => {
+            try {
+                const { code } = req.params
+                const { url, isActive, publicStats } = req.body || {}
+
+                if (url === undefined && isActive === undefined && publicStats === undefined) {
+                    return res.status(400).json({ error: 'Nothing to update. Send url, isActive and/or publicStats' })
+                }
+                if (url !== undefined && (typeof url !== 'string' || !url.trim())) {
+                    return res.status(400).json({ error: 'url must be a non-empty string' })
+                }
+                if (isActive !== undefined && typeof isActive !== 'boolean') {
+                    return res.status(400).json({ error: 'isActive must be true or false' })
+                }
+                if (publicStats !== undefined && typeof publicStats !== 'boolean') {
+                    return res.status(400).json({ error: 'publicStats must be true or false' })
+                }
+
+                let link = await LinkService.getLink(code)
+                if (!link || !this.canManageLink(req, link)) {
+                    return res.status(404).json({ error: 'Link not found' })
+                }
+
+                const phoneNumber = req.apiUser.phone_number
+                if (url !== undefined && url.trim() !== link.original_url) {
+                    link = await LinkService.updateLinkUrl(code, phoneNumber, url.trim())
+                }
+                if (isActive !== undefined && isActive !== link.is_active) {
+                    link = await LinkService.setLinkActive(code, phoneNumber, isActive)
+                }
+                if (publicStats !== undefined && publicStats !== link.public_stats) {
+                    link = await LinkService.setPublicStats(code, phoneNumber, publicStats)
+                }
+
+                res.json(this.toApiLink(link))
+            } catch (error) {
+                this.sendApiError(res, error, 'Update link API')
+            }
+        })
+
+        this.app.delete('/api/links/:code', requireApiUser, async (req, res) => {
+            try {
+                const { code } = req.params
+
+                const link = await LinkService.getLink(code)
+                if (!link || !this.canManageLink(req, link)) {
+                    return res.status(404).json({ error: 'Link not found' })
+                }
+
+                await LinkService.deleteLink(code, req.apiUser.phone_number)
+                res.status(204).end()
+            } catch (error) {
+                this.sendApiError(res, error, 'Delete link API')
+            }
+        })
+
+        // QR code for a short link, e.g. /qr/abc123.png?size=1024&margin=2&color=1a1a1a&background=ffffff
+        this.app.get('/qr/:shortCode.:format', async (req, res) => {
+            const { shortCode, format } = req.params
+
+            try {
+                if (!QrService.FORMATS.includes(format)) {
+                    return res.status(404).json({ error: 'Unknown QR format. Use .png or .svg' })
+                }
+
+                const options = QrService.parseOptions(req.query)
+                if (typeof options === 'string') {
+                    return res.status(400).json({ error: options })
+                }
+
+                const link = await LinkService.getLink(shortCode)
+                if (!link) {
+                    return res.status(404).json({ error: 'Link not found' })
+                }
+
+                console.log(`📷 QR code (${format}) requested for: ${shortCode}`)
+                res.set('Cache-Control', 'public, max-age=86400')
+                if (format === 'png') {
+                    res.type('png').send(await QrService.toPng(link, options))
+                } else {
+                    res.type('svg').send(await QrService.toSvg(link, options))
+                }
+            } catch (error) {
+                console.error('❌ QR code error:', error)
+                res.status(500).json({ error: 'Internal Server Error' })
+            }
+        })
+
         // Preview route (optional - shows link info without redirecting)
         this.app.get('/preview/:shortCode', async (req, res) => {
             try {
@@ -210,15 +439,21 @@ class WebServer {
                 console.log(`👀 Preview requested for: ${shortCode}`)
                 
                 const link = await LinkService.getLinkByShortCode(shortCode)
+                const locale = this.getPageLocale(req, res)
+                const t = (key, vars) => LocaleService.t(locale, key, vars)
 
                 if (!link) {
-                    return res.status(404).send('Link not found')
+                    return res.status(404).send(this.renderNotFoundPage(shortCode, locale))
+                }
+
+                if (this.isLinkExpired(link)) {
+                    return res.status(410).send(this.renderExpiredPage(shortCode, locale))
                 }
 
                 res.send(`
-                    <html>
+                    <html lang="${locale}">
                         <head>
-                            <title>Link Preview</title>
+                            <title>${t('web.preview.title')}</title>
                             <style>
                                 body { font-family: Arial, sans-serif; max-width: 800px; margin: 50px auto; padding: 20px; }
                                 .card { border: 1px solid #ddd; border-radius: 8px; padding: 20px; background: #f9f9f9; }
@@ -231,30 +466,30 @@ class WebServer {
                         </head>
                         <body>
                             <div class="card">
-                                <h1>🔗 Link Preview</h1>
-                                <p><strong>Short URL:</strong> ${link.short_url}</p>
-                                <p><strong>Original URL:</strong> <span class="original-url">${link.original_url}</span></p>
+                                <h1>${t('web.preview.heading')}</h1>
+                                <p><strong>${t('web.preview.shortUrl')}</strong> ${escapeHtml(link.short_url)}</p>
+                                <p><strong>${t('web.preview.originalUrl')}</strong> <span class="original-url">${link.password_hash ? t('web.preview.passwordProtected') : escapeHtml(link.original_url)}</span></p>
                                 
                                 <div class="stats">
                                     <div class="stat">
                                         <h3>${link.total_clicks || 0}</h3>
-                                        <p>Total Clicks</p>
+                                        <p>${t('web.preview.totalClicks')}</p>
                                     </div>
                                     <div class="stat">
                                         <h3>${link.unique_clicks || 0}</h3>
-                                        <p>Unique Clicks</p>
+                                        <p>${t('web.preview.uniqueClicks')}</p>
                                     </div>
                                 </div>
                                 
                                 <p>
-                                    <a href="/${shortCode}" class="continue-btn">Continue to Original Link</a>
+                                    <a href="/${encodeURIComponent(shortCode)}" class="continue-btn">${t('web.preview.continue')}</a>
                                 </p>
                                 
-                                <p><small>Created: ${new Date(link.created_at).toLocaleDateString()}</small></p>
+                                <p><small>${t('web.preview.created', { date: LocaleService.formatDate(locale, link.created_at) })}</small></p>
                                 
                                 <div class="debug">
                                     <strong>Debug Info:</strong><br>
-                                    Short Code: ${shortCode}<br>
+                                    Short Code: ${escapeHtml(shortCode)}<br>
                                     Link ID: ${link.id}<br>
                                     Has Original URL: ${!!link.original_url}
                                 </div>
@@ -268,25 +503,486 @@ class WebServer {
             }
         })
 
-        // Catch-all route for debugging
-        this.app.get('*', (req, res) => {
-            console.log(`❓ Unmatched route: ${req.url}`)
+        // Catch-all route for debugging (Express 5 wildcard syntax)
+        this.app.get('/{*path}', (req, res) => {
+            console.log(`❓ Unmatched route: ${this.redactUrl(req.url)}`)
             res.status(404).send(`
                 <html>
                     <head><title>Route Not Found</title></head>
                     <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
                         <h1>❓ Route Not Found</h1>
                         <p>The route "${req.url}" was not found.</p>
-                        <p><small>Available routes: /:shortCode, /api/stats/:shortCode, /preview/:shortCode, /health</small></p>
+                        <p><small>Available routes: /:shortCode, /api/stats/:shortCode, /api/links, /api/links/:shortCode/clicks.csv, /qr/:shortCode.png, /preview/:shortCode, /health</small></p>
                     </body>
                 </html>
             `)
         })
     }
 
+    // Web dashboard. Users log in with a signed link from /dashboard in the bot, which is
+    // exchanged for a signed session cookie - there are no passwords.
+    setupDashboardRoutes() {
+        const requireSession = (req, res, next) => this.requireDashboardSession(req, res, next)
+
+        // Opening the link only shows a confirm button. Link previews and mail scanners fetch
+        // URLs with GET, so the single-use token is spent on the POST from that page.
+        this.app.get('/dashboard/login', (req, res) => {
+            const { token } = req.query
+            if (!SecurityService.verifyToken(token, 'dashboard-login')) {
+                return res.status(401).send(DashboardPages.renderMessage('⌛ Login link expired', 'This login link is invalid, has expired or has already been used.'))
+            }
+
+            res.set('Cache-Control', 'no-store')
+            res.send(DashboardPages.renderLoginConfirm(token))
+        })
+
+        this.app.post('/dashboard/login', async (req, res) => {
+            try {
+                const login = await SecurityService.consumeToken(req.body?.token, 'dashboard-login')
+                if (!login) {
+                    return res.status(401).send(DashboardPages.renderMessage('⌛ Login link expired', 'This login link is invalid, has expired or has already been used.'))
+                }
+
+                const session = SecurityService.signToken({ scope: 'dashboard', phoneNumber: login.phoneNumber }, DASHBOARD_SESSION_MS)
+                res.cookie(DASHBOARD_COOKIE, session, {
+                    httpOnly: true,
+                    sameSite: 'lax',
+                    secure: process.env.NODE_ENV === 'production',
+                    maxAge: DASHBOARD_SESSION_MS,
+                    path: '/dashboard'
+                })
+                console.log(`🔓 Dashboard login for ${login.phoneNumber}`)
+                res.redirect(303, '/dashboard')
+            } catch (error) {
+                await this.sendDashboardError(req, res, error)
+            }
+        })
+
+        this.app.post('/dashboard/logout', requireSession, (req, res) => {
+            res.clearCookie(DASHBOARD_COOKIE, { path: '/dashboard' })
+            res.send(DashboardPages.renderMessage('👋 Logged out', 'You have been logged out of the dashboard.'))
+        })
+
+        this.app.get('/dashboard', requireSession, async (req, res) => {
+            try {
+                const search = this.getQueryString(req, 'q') || ''
+                const sort = ['created', 'clicks', 'code'].includes(req.query.sort) ? req.query.sort : 'created'
+                const order = req.query.order === 'asc' ? 'asc' : 'desc'
+                const page = Number.parseInt(req.query.page, 10) || 1
+
+                const result = await LinkService.searchUserLinks(req.dashboardUser, { search, sort, order, page })
+                res.set('Cache-Control', 'no-store')
+                res.send(DashboardPages.renderLinkList({ ...result, search, sort, order, csrfToken: req.csrfToken }))
+            } catch (error) {
+                console.error('❌ Dashboard error:', error)
+                res.status(500).send(DashboardPages.renderMessage('❌ Server Error', 'Something went wrong while loading your links.'))
+            }
+        })
+
+        this.app.get('/dashboard/links/:code', requireSession, async (req, res) => {
+            try {
+                const notices = { updated: '✏️ Destination updated.', enabled: '▶️ Link enabled.', disabled: '⏸️ Link disabled.' }
+                await this.sendDashboardLink(req, res, { notice: notices[req.query.notice] || null })
+            } catch (error) {
+                console.error('❌ Dashboard error:', error)
+                res.status(500).send(DashboardPages.renderMessage('❌ Server Error', 'Something went wrong while loading this link.'))
+            }
+        })
+
+        this.app.post('/dashboard/links/:code/toggle', requireSession, async (req, res) => {
+            const { code } = req.params
+
+            try {
+                const link = await LinkService.getOwnedLink(code, req.dashboardUser)
+                const updated = await LinkService.setLinkActive(code, req.dashboardUser, link.is_active === false)
+                res.redirect(303, `/dashboard/links/${encodeURIComponent(code)}?notice=${updated.is_active ? 'enabled' : 'disabled'}`)
+            } catch (error) {
+                await this.sendDashboardError(req, res, error)
+            }
+        })
+
+        this.app.post('/dashboard/links/:code/edit', requireSession, async (req, res) => {
+            const { code } = req.params
+            const url = typeof req.body?.url === 'string' ? req.body.url.trim() : ''
+
+            try {
+                await LinkService.updateLinkUrl(code, req.dashboardUser, url)
+                res.redirect(303, `/dashboard/links/${encodeURIComponent(code)}?notice=updated`)
+            } catch (error) {
+                await this.sendDashboardError(req, res, error)
+            }
+        })
+    }
+
+    // Signed session cookie -> req.dashboardUser (phone number) and req.csrfToken.
+    // Form posts must echo the CSRF token.
+    requireDashboardSession(req, res, next) {
+        const session = this.getCookie(req, DASHBOARD_COOKIE)
+        const payload = SecurityService.verifyToken(session, 'dashboard')
+
+        if (!payload) {
+            return res.status(401).send(DashboardPages.renderMessage('🔒 Please log in', 'Your dashboard session has expired or you are not logged in.'))
+        }
+
+        req.dashboardUser = payload.phoneNumber
+        req.csrfToken = SecurityService.tokenSignature(`csrf:${session}`)
+
+        if (req.method === 'POST' && req.body?.csrf !== req.csrfToken) {
+            return res.status(403).send(DashboardPages.renderMessage('🚫 Request blocked', 'The form was out of date. Go back, reload the page and try again.'))
+        }
+
+        next()
+    }
+
+    getCookie(req, name) {
+        for (const pair of (req.get('Cookie') || '').split(';')) {
+            const [key, ...value] = pair.trim().split('=')
+            if (key === name) return decodeURIComponent(value.join('='))
+        }
+        return null
+    }
+
+    async sendDashboardLink(req, res, { status = 200, notice = null, error = null } = {}) {
+        const { code } = req.params
+        const link = await LinkService.getLink(code)
+
+        if (!link || link.users?.phone_number !== req.dashboardUser) {
+            return res.status(404).send(DashboardPages.renderMessage('🔍 Link Not Found', `You don't have a link called "${code}".`))
+        }
+
+        const stats = await LinkService.getLinkStats(code)
+        const daily = await LinkService.getRecentDailyClicks(code, 30)
+
+        res.set('Cache-Control', 'no-store')
+        res.status(status).send(DashboardPages.renderLinkDetail({
+            link,
+            stats,
+            daily: daily ? daily.buckets : [],
+            csrfToken: req.csrfToken,
+            notice,
+            error
+        }))
+    }
+
+    // Show a failed dashboard action on the link page, e.g. "❌ Invalid URL format".
+    // Anything else (database errors, bugs) is logged and replaced with a generic page.
+    async sendDashboardError(req, res, error) {
+        if (!isUserFacingError(error)) {
+            console.error('❌ Dashboard error:', error)
+            return res.status(500).send(DashboardPages.renderMessage('❌ Server Error', 'Something went wrong.'))
+        }
+
+        try {
+            await this.sendDashboardLink(req, res, { status: 400, error: error.message })
+        } catch (renderError) {
+            console.error('❌ Dashboard error:', renderError)
+            res.status(500).send(DashboardPages.renderMessage('❌ Server Error', 'Something went wrong.'))
+        }
+    }
+
+    // Clicks still in the queue count towards the click limit
+    isLinkExpired(link) {
+        return LinkService.isLinkExpired(link, clickQueue.pendingClicks(link.id))
+    }
+
+    // Validate the destination, track the click and send the redirect
+    async redirectToLink(req, res, link) {
+        // Checked again right before the click is queued, so parallel requests
+        // (e.g. two password unlocks) can't go over max_clicks
+        if (this.isLinkExpired(link)) {
+            return res.status(410).send(this.renderExpiredPage(link.short_code, this.getPageLocale(req, res)))
+        }
+
+        // Validate the original URL
+        if (!link.original_url) {
+            console.error('❌ Link has no original_url')
+            return res.status(500).send('Invalid link data')
+        }
+
+        // Clean and validate the URL
+        let redirectUrl = link.original_url.trim()
+        
+        // Ensure URL has protocol - be more careful about this
+        if (!redirectUrl.match(/^https?:\/\//i)) {
+            redirectUrl = 'https://' + redirectUrl
+            console.log(`🔧 Added https:// to URL: ${redirectUrl}`)
+        }
+
+        // Validate the final URL format
+        try {
+            new URL(redirectUrl) // This will throw if invalid
+            console.log(`🎯 Validated redirect URL: ${redirectUrl}`)
+        } catch (urlError) {
+            console.error('❌ Invalid URL format:', redirectUrl)
+            return res.status(400).send('Invalid URL format in database')
+        }
+
+        // Queue the click - it is written to the database in the background
+        try {
+            const clientIP = req.ip || req.connection.remoteAddress || 'unknown'
+            const userAgent = req.get('User-Agent') || 'unknown'
+            const referrer = req.get('Referer') || null
+            const utm = {
+                source: this.getQueryString(req, 'utm_source'),
+                medium: this.getQueryString(req, 'utm_medium'),
+                campaign: this.getQueryString(req, 'utm_campaign')
+            }
+
+            // Only known sources are recorded - ?src=qr is added by the QR codes
+            const source = this.getQueryString(req, 'src') === QrService.SOURCE ? QrService.SOURCE : null
+
+            console.log('📊 Queueing click:', { clientIP, userAgent: userAgent.substring(0, 50) + '...' })
+            clickQueue.enqueue({ linkId: link.id, ipAddress: clientIP, userAgent, referrer, utm, source })
+        } catch (trackError) {
+            console.error('⚠️ Click tracking failed:', trackError.message)
+            // Continue with redirect even if tracking fails
+        }
+
+        // Perform the redirect with proper headers
+        console.log(`🚀 Executing redirect to: ${redirectUrl}`)
+        
+        // Set proper headers for redirect
+        res.writeHead(302, {
+            'Location': redirectUrl,
+            'Cache-Control': 'no-cache, no-store, must-revalidate',
+            'Pragma': 'no-cache',
+            'Expires': '0'
+        })
+        res.end()
+        
+        console.log('✅ Manual redirect sent with headers')
+    }
+
+    // Accept "Authorization: Bearer <key>" with a personal API key (sets req.apiUser) or,
+    // unless requireUser is set, the ADMIN_API_TOKEN (sets req.isAdmin)
+    async authenticateApi(req, res, next, { requireUser = false } = {}) {
+        if (!this.getBearerToken(req)) {
+            return res.status(401).json({ error: 'An API key is required. Send "Authorization: Bearer <key>"' })
+        }
+
+        try {
+            await this.identifyApiCaller(req)
+        } catch (error) {
+            console.error('❌ API key lookup failed:', error)
+            return res.status(500).json({ error: 'Internal Server Error' })
+        }
+
+        if (!req.apiUser && !(req.isAdmin && !requireUser)) {
+            return res.status(401).json({ error: 'Invalid or revoked API key' })
+        }
+
+        next()
+    }
+
+    getBearerToken(req) {
+        const [scheme, token] = (req.get('Authorization') || '').split(' ')
+        return scheme === 'Bearer' && token ? token : null
+    }
+
+    // Set req.isAdmin or req.apiUser from the bearer token, if there is a valid one
+    async identifyApiCaller(req) {
+        const token = this.getBearerToken(req)
+        if (!token) return
+
+        if (SecurityService.isAdminToken(token)) {
+            req.isAdmin = true
+        } else {
+            req.apiUser = await ApiKeyService.authenticate(token)
+        }
+    }
+
+    get privateStatsMessage() {
+        return 'Stats for this link are private. Use the owner\'s API key or the signed link from /stats in the bot'
+    }
+
+    // Public stats, a signed ?token= from the bot, or the owner's API key (or the admin token)
+    async canViewStats(req, link) {
+        if (link.public_stats) return true
+
+        const token = SecurityService.verifyToken(req.query.token, 'stats')
+        if (token && token.shortCode === link.short_code) return true
+
+        await this.identifyApiCaller(req)
+        return this.canManageLink(req, link)
+    }
+
+    canManageLink(req, link) {
+        return req.isAdmin === true || (req.apiUser && link.user_id === req.apiUser.id)
+    }
+
+    // Link options from an API request body, or an error message
+    parseApiLinkOptions(body) {
+        const options = {}
+
+        if (body.alias !== undefined) {
+            if (typeof body.alias !== 'string') return 'alias must be a string'
+            options.customCode = body.alias
+        }
+
+        if (body.expiresAt !== undefined) {
+            const expiresAt = new Date(body.expiresAt)
+            if (typeof body.expiresAt !== 'string' || isNaN(expiresAt) || expiresAt <= new Date()) {
+                return 'expiresAt must be a future ISO 8601 date'
+            }
+            options.expiresAt = expiresAt
+        }
+
+        if (body.maxClicks !== undefined) {
+            if (!Number.isInteger(body.maxClicks) || body.maxClicks < 1) return 'maxClicks must be a positive whole number'
+            options.maxClicks = body.maxClicks
+        }
+
+        if (body.password !== undefined) {
+            if (typeof body.password !== 'string' || body.password.length < 4) {
+                return 'password must be at least 4 characters long'
+            }
+            options.password = body.password
+        }
+
+        if (typeof body.utm === 'string') {
+            options.utmPreset = body.utm.toLowerCase()
+        } else if (body.utm !== undefined) {
+            const { source, medium, campaign } = body.utm || {}
+            const tags = [source, medium, campaign]
+            if (typeof source !== 'string' || !source || tags.some(tag => tag != null && (typeof tag !== 'string' || tag.length > 100))) {
+                return 'utm must be a preset name or { source, medium?, campaign? } with values up to 100 characters'
+            }
+            options.utm = { source, medium: medium || null, campaign: campaign || null }
+        }
+
+        return options
+    }
+
+    // Public shape of a link in API responses
+    toApiLink(link) {
+        return {
+            shortCode: link.short_code,
+            shortUrl: link.short_url,
+            originalUrl: link.original_url,
+            domain: link.domain,
+            isActive: link.is_active,
+            totalClicks: link.total_clicks,
+            uniqueClicks: link.unique_clicks,
+            expiresAt: link.expires_at || null,
+            maxClicks: link.max_clicks || null,
+            passwordProtected: Boolean(link.password_hash),
+            publicStats: link.public_stats === true,
+            createdAt: link.created_at
+        }
+    }
+
+    // User-facing service errors become 400s without the emoji and chat formatting.
+    // Anything else is a 500.
+    sendApiError(res, error, context) {
+        if (isUserFacingError(error)) {
+            return res.status(400).json({
+                error: error.message.replace(/^[\p{Extended_Pictographic}\uFE0F\s]+/u, '').replace(/\*/g, '')
+            })
+        }
+
+        console.error(`❌ ${context} error:`, error)
+        res.status(500).json({ error: 'Internal Server Error' })
+    }
+
+    // Write to a streamed response, waiting when the client is reading slower than we write
+    async writeChunk(res, chunk) {
+        if (res.destroyed) throw new Error('Client disconnected')
+        if (!res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')])
+    }
+
+    // Single string query parameter, trimmed and capped in length
+    getQueryString(req, name) {
+        const value = req.query[name]
+        if (typeof value !== 'string' || !value.trim()) return null
+        return value.trim().slice(0, 100)
+    }
+
+    // Language for the public pages, from the browser's Accept-Language header
+    getPageLocale(req, res) {
+        const locale = LocaleService.fromAcceptLanguage(req.get('Accept-Language'))
+        res.set('Content-Language', locale)
+        res.vary('Accept-Language')
+        return locale
+    }
+
+    renderNotFoundPage(shortCode, locale = LocaleService.DEFAULT_LOCALE) {
+        const t = (key, vars) => LocaleService.t(locale, key, vars)
+        return `
+            <html lang="${locale}">
+                <head><title>${t('web.notFound.title')}</title></head>
+                <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+                    <h1>${t('web.notFound.heading')}</h1>
+                    <p>${t('web.notFound.message', { code: escapeHtml(shortCode) })}</p>
+                    <a href="https://wa.me/YOUR_BOT_NUMBER" style="color: #25D366;">${t('web.createLink')}</a>
+                    <hr>
+                    <p><small>Debug: Searched for "${escapeHtml(shortCode)}"</small></p>
+                </body>
+            </html>
+        `
+    }
+
+    // Request URL for the logs, with ?token= values masked
+    redactUrl(url) {
+        const queryStart = url.indexOf('?')
+        if (queryStart === -1) return url
+
+        const params = new URLSearchParams(url.slice(queryStart + 1))
+        for (const name of REDACTED_QUERY_PARAMS) {
+            if (params.has(name)) params.set(name, 'redacted')
+        }
+        return `${url.slice(0, queryStart)}?${params}`
+    }
+
+    redactHeaders(headers) {
+        return Object.fromEntries(Object.entries(headers)
+            .map(([name, value]) => [name, REDACTED_HEADERS.includes(name) ? 'redacted' : value]))
+    }
+
+    // Query string of the request ("?utm_source=..."), percent-encoded so it is safe in HTML attributes
+    getQuerySuffix(req) {
+        return new URL(req.originalUrl, 'http://localhost').search
+    }
+
+    // querySuffix keeps the original query string (UTM tags) on the unlock request
+    renderPasswordPage(shortCode, locale = LocaleService.DEFAULT_LOCALE, errorMessage = null, querySuffix = '') {
+        const t = (key, vars) => LocaleService.t(locale, key, vars)
+        return `
+            <html lang="${locale}">
+                <head><title>${t('web.password.title')}</title></head>
+                <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+                    <h1>${t('web.password.heading')}</h1>
+                    <p>${t('web.password.message', { code: escapeHtml(shortCode) })}</p>
+                    ${errorMessage ? `<p style="color: #c0392b;">${errorMessage}</p>` : ''}
+                    <form method="POST" action="/${encodeURIComponent(shortCode)}${querySuffix}">
+                        <input type="password" name="password" placeholder="${t('web.password.placeholder')}" required autofocus
+                               style="padding: 10px; border: 1px solid #ddd; border-radius: 5px;">
+                        <button type="submit" style="background: #25D366; color: white; padding: 10px 20px; border: none; border-radius: 5px;">${t('web.password.submit')}</button>
+                    </form>
+                </body>
+            </html>
+        `
+    }
+
+    renderExpiredPage(shortCode, locale = LocaleService.DEFAULT_LOCALE) {
+        const t = (key, vars) => LocaleService.t(locale, key, vars)
+        return `
+            <html lang="${locale}">
+                <head><title>${t('web.expired.title')}</title></head>
+                <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+                    <h1>${t('web.expired.heading')}</h1>
+                    <p>${t('web.expired.message', { code: escapeHtml(shortCode) })}</p>
+                    <p>${t('web.expired.hint')}</p>
+                    <a href="https://wa.me/YOUR_BOT_NUMBER" style="color: #25D366;">${t('web.createLink')}</a>
+                </body>
+            </html>
+        `
+    }
+
     start(port = process.env.PORT || 3000) {
         const host = process.env.NODE_ENV === 'production' ? '0.0.0.0' : 'localhost'
         
+        clickQueue.start()
+        
         this.server = this.app.listen(port, host, () => {
             console.log(`🌐 Web server running on ${host}:${port}`)
             console.log(`🔗 Ready to handle short link redirects`)
@@ -297,11 +993,14 @@ class WebServer {
         return this.server
     }
 
-    stop() {
+    async stop() {
         if (this.server) {
             this.server.close()
             console.log('🛑 Web server stopped')
         }
+
+        // Write any clicks still waiting in the queue
+        await clickQueue.stop()
     }
 }
 
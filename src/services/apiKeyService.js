@@ -0,0 +1,73 @@
+const crypto = require('crypto')
+const { users, apiKeys } = require('../repositories')
+const LinkService = require('./linkService')
+const LocaleService = require('./localeService')
+
+// Personal API keys for the REST API. A key is shown to its owner once when it is
+// created; only its SHA-256 hash is stored, plus a short prefix to identify it by.
+class ApiKeyService {
+    static KEY_PREFIX = 'wey_'
+    static MAX_ACTIVE_KEYS = 5
+
+    static generateKey() {
+        return `${this.KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`
+    }
+
+    // Keys are long random strings, so a fast hash is enough (no salt or scrypt needed)
+    static hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex')
+    }
+
+    // "wey_AbCd1234" - enough to tell keys apart without revealing them
+    static displayPrefix(key) {
+        return key.slice(0, this.KEY_PREFIX.length + 8)
+    }
+
+    // Issue a new key for a user; returns the plain key and its stored record
+    static async createKey(phoneNumber, name = null, username = null) {
+        const user = await LinkService.createOrGetUser(phoneNumber, username, username)
+        if (!user) throw new Error('Failed to create user')
+
+        const activeKeys = await apiKeys.listActiveByUser(user.id)
+        if (activeKeys.length >= this.MAX_ACTIVE_KEYS) {
+            throw LocaleService.error('errors.tooManyApiKeys', { max: this.MAX_ACTIVE_KEYS })
+        }
+
+        const key = this.generateKey()
+        const record = await apiKeys.create({
+            user_id: user.id,
+            name,
+            key_prefix: this.displayPrefix(key),
+            key_hash: this.hashKey(key)
+        })
+
+        console.log(`🔑 API key ${record.key_prefix} created for ${phoneNumber}`)
+        return { key, record }
+    }
+
+    static async listKeys(phoneNumber) {
+        const user = await users.findByPhone(phoneNumber)
+        return user ? apiKeys.listActiveByUser(user.id) : []
+    }
+
+    static async revokeKey(phoneNumber, keyPrefix) {
+        const user = await users.findByPhone(phoneNumber)
+        const revoked = user ? await apiKeys.revoke(user.id, keyPrefix) : false
+        if (revoked) console.log(`🔒 API key ${keyPrefix} revoked for ${phoneNumber}`)
+        return revoked
+    }
+
+    // Owner ({ id, phone_number, username, display_name }) of an active key, or null
+    static async authenticate(key) {
+        if (!key || !key.startsWith(this.KEY_PREFIX)) return null
+
+        const record = await apiKeys.findActiveByHash(this.hashKey(key))
+        if (!record?.users) return null
+
+        // Usage tracking is best effort - never fail a request over it
+        apiKeys.touch(record.id).catch(error => console.error('⚠️ Failed to record API key use:', error.message))
+        return record.users
+    }
+}
+
+module.exports = ApiKeyService
@@ -0,0 +1,152 @@
+const LinkService = require('./linkService')
+
+// Buffers clicks in memory so redirects don't wait on the database.
+// Clicks are written in batches every few seconds and when the server shuts down.
+// A batch that keeps failing is split in half until the bad click is found and dropped.
+class ClickQueue {
+    constructor({ flushIntervalMs = 2000, batchSize = 200, maxQueueSize = 10000, maxAttempts = 3 } = {}) {
+        this.flushIntervalMs = flushIntervalMs
+        this.batchSize = batchSize
+        this.maxQueueSize = maxQueueSize
+        this.maxAttempts = maxAttempts
+
+        this.queue = []
+        // Failed batches waiting for another attempt: { clicks, attempts }
+        this.retries = []
+        // Human clicks per link id that are queued but not written yet
+        this.pending = new Map()
+        this.timer = null
+        this.flushing = null
+
+        this.recorded = 0
+        this.dropped = 0
+        this.failedFlushes = 0
+        this.lastFlushAt = null
+    }
+
+    get depth() {
+        return this.queue.length + this.retries.reduce((total, batch) => total + batch.clicks.length, 0)
+    }
+
+    // Clicks on a link that its total_clicks counter doesn't include yet
+    pendingClicks(linkId) {
+        return this.pending.get(linkId) || 0
+    }
+
+    start() {
+        if (this.timer) return
+
+        this.timer = setInterval(() => this.flush(), this.flushIntervalMs)
+        // Don't keep the process alive just for the flush timer
+        this.timer.unref()
+        console.log(`📥 Click queue started (flush every ${this.flushIntervalMs}ms, batch size ${this.batchSize})`)
+    }
+
+    // Add a click: { linkId, ipAddress, userAgent, referrer }
+    enqueue(click) {
+        if (this.queue.length >= this.maxQueueSize) {
+            // Database is falling behind - drop the oldest click rather than grow forever
+            this.release([this.queue.shift()])
+            this.dropped++
+            console.error('⚠️ Click queue full, dropping oldest click')
+        }
+
+        // Bot hits don't count towards total_clicks, so they don't count as pending either
+        const counted = !LinkService.parseUserAgent(click.userAgent).is_bot
+        if (counted) this.pending.set(click.linkId, this.pendingClicks(click.linkId) + 1)
+
+        this.queue.push({ ...click, counted, clickedAt: click.clickedAt || new Date() })
+    }
+
+    // Clicks that were written or dropped no longer count as pending
+    release(clicks) {
+        for (const click of clicks.filter(click => click.counted)) {
+            const count = this.pendingClicks(click.linkId) - 1
+            if (count > 0) this.pending.set(click.linkId, count)
+            else this.pending.delete(click.linkId)
+        }
+    }
+
+    // Write everything currently queued. Concurrent calls share the same flush.
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.drain().finally(() => {
+                this.flushing = null
+            })
+        }
+        return this.flushing
+    }
+
+    async drain() {
+        // Failed batches get one more attempt per flush, without holding up new clicks
+        for (const batch of this.retries.splice(0)) {
+            await this.writeBatch(batch)
+        }
+
+        while (this.queue.length > 0) {
+            const written = await this.writeBatch({ clicks: this.queue.splice(0, this.batchSize), attempts: 0 })
+            // Database is probably down - try again on the next tick
+            if (!written) return
+        }
+    }
+
+    async writeBatch(batch) {
+        try {
+            await LinkService.recordClicks(batch.clicks)
+            this.recorded += batch.clicks.length
+            this.release(batch.clicks)
+            this.lastFlushAt = new Date()
+            return true
+        } catch (error) {
+            this.failedFlushes++
+            batch.attempts++
+
+            if (batch.attempts < this.maxAttempts) {
+                this.retries.push(batch)
+                console.error(`❌ Click queue flush failed (${this.depth} queued):`, error.message)
+            } else if (batch.clicks.length === 1) {
+                // e.g. a click on a link that was deleted before the flush
+                const [click] = batch.clicks
+                this.dropped++
+                this.release(batch.clicks)
+                console.error(`❌ Dropping click on link ${click.linkId} after ${batch.attempts} failed attempts:`, error.message)
+            } else {
+                // One bad click fails the whole insert - split the batch so the others get written.
+                // Halves split again after a single failure; only a lone click gets every attempt.
+                const half = Math.ceil(batch.clicks.length / 2)
+                for (const clicks of [batch.clicks.slice(0, half), batch.clicks.slice(half)]) {
+                    this.retries.push({ clicks, attempts: clicks.length === 1 ? 0 : this.maxAttempts - 1 })
+                }
+                console.error(`⚠️ Click batch of ${batch.clicks.length} failed ${batch.attempts} times, retrying in halves:`, error.message)
+            }
+            return false
+        }
+    }
+
+    // Stop the timer and write whatever is left
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer)
+            this.timer = null
+        }
+
+        if (this.flushing) await this.flushing
+        await this.flush()
+        console.log(`🛑 Click queue stopped (${this.depth} click(s) left unsaved)`)
+    }
+
+    getStats() {
+        return {
+            depth: this.depth,
+            recorded: this.recorded,
+            dropped: this.dropped,
+            failedFlushes: this.failedFlushes,
+            lastFlushAt: this.lastFlushAt ? this.lastFlushAt.toISOString() : null
+        }
+    }
+}
+
+module.exports = new ClickQueue({
+    flushIntervalMs: Number(process.env.CLICK_QUEUE_FLUSH_MS) || 2000,
+    batchSize: Number(process.env.CLICK_QUEUE_BATCH_SIZE) || 200
+})
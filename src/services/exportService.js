@@ -0,0 +1,106 @@
+const { Readable } = require('stream')
+const { clicks } = require('../repositories')
+
+// Columns of a click export, in order
+const EXPORT_COLUMNS = [
+    'clicked_at',
+    'ip_address',
+    'country',
+    'region',
+    'city',
+    'device_type',
+    'device_vendor',
+    'browser',
+    'browser_version',
+    'os',
+    'user_agent',
+    'is_bot',
+    'is_unique',
+    'source',
+    'referrer',
+    'referrer_domain',
+    'utm_source',
+    'utm_medium',
+    'utm_campaign'
+]
+
+// Raw click data for analysts. Rows are read a page at a time so large links
+// can be streamed without loading every click into memory.
+class ExportService {
+    static PAGE_SIZE = Number(process.env.EXPORT_PAGE_SIZE) || 1000
+
+    // Yield export rows for a link, oldest click first
+    static async *clickRows(linkId) {
+        for (let offset = 0; ; offset += this.PAGE_SIZE) {
+            const page = await clicks.listPage(linkId, { offset, limit: this.PAGE_SIZE })
+
+            for (const click of page) yield this.toExportRow(click)
+            if (page.length < this.PAGE_SIZE) return
+        }
+    }
+
+    static toExportRow(click) {
+        const row = {}
+        for (const column of EXPORT_COLUMNS) row[column] = click[column] ?? null
+        row.ip_address = this.anonymizeIp(click.ip_address)
+        return row
+    }
+
+    // Drop the host part of an address: last octet for IPv4, all but the first 48 bits for IPv6
+    static anonymizeIp(ipAddress) {
+        if (!ipAddress) return null
+        const ip = ipAddress.replace(/^::ffff:/, '')
+
+        if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) {
+            return ip.replace(/\.\d{1,3}$/, '.0')
+        }
+
+        if (ip.includes(':')) {
+            const [head] = ip.split('::')
+            const groups = head.split(':').filter(Boolean).slice(0, 3)
+            return `${groups.join(':')}::`
+        }
+
+        return null
+    }
+
+    static csvHeader() {
+        return `${EXPORT_COLUMNS.join(',')}\r\n`
+    }
+
+    static toCsvLine(row) {
+        return `${EXPORT_COLUMNS.map(column => this.csvField(row[column])).join(',')}\r\n`
+    }
+
+    static csvField(value) {
+        if (value === null || value === undefined) return ''
+
+        let text = String(value)
+        // Stop spreadsheets from treating referrers or user agents as formulas
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    }
+
+    // CSV as a stream, read one page of clicks at a time - for sending as a chat attachment
+    static csvStream(linkId) {
+        return Readable.from(this.csvLines(linkId))
+    }
+
+    static async *csvLines(linkId) {
+        yield this.csvHeader()
+        for await (const row of this.clickRows(linkId)) yield this.toCsvLine(row)
+    }
+
+    // JSON array of rows, one row per chunk
+    static async *jsonChunks(linkId) {
+        let first = true
+        for await (const row of this.clickRows(linkId)) {
+            yield `${first ? '[' : ','}\n${JSON.stringify(row)}`
+            first = false
+        }
+        yield first ? '[]\n' : '\n]\n'
+    }
+}
+
+module.exports = ExportService
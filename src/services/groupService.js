@@ -0,0 +1,50 @@
+const { groupSettings } = require('../repositories')
+const LRUCache = require('../utils/lruCache')
+
+// Settings and permissions for WhatsApp group chats
+class GroupService {
+    // Every URL posted in a group would otherwise mean a settings lookup
+    static settingsCache = new LRUCache({ maxSize: 500, ttlMs: 60 * 1000 })
+
+    static isGroupJid(jid) {
+        return typeof jid === 'string' && jid.endsWith('@g.us')
+    }
+
+    // Auto-shortening is off unless a group admin turns it on
+    static async isAutoShortenEnabled(groupJid) {
+        let settings = this.settingsCache.get(groupJid)
+        if (settings === undefined) {
+            settings = await groupSettings.findByGroup(groupJid)
+            this.settingsCache.set(groupJid, settings)
+        }
+
+        return settings?.auto_shorten === true
+    }
+
+    static async setAutoShorten(groupJid, enabled, updatedBy) {
+        const settings = await groupSettings.save({ group_jid: groupJid, auto_shorten: enabled, updated_by: updatedBy })
+        this.settingsCache.delete(groupJid)
+        console.log(`👥 Auto-shortening ${enabled ? 'enabled' : 'disabled'} in ${groupJid} by ${updatedBy}`)
+        return settings
+    }
+
+    // Whether the participant is an admin of the group, according to WhatsApp
+    static async isGroupAdmin(sock, groupJid, participantJid) {
+        const metadata = await sock.groupMetadata(groupJid)
+        const participant = metadata.participants.find(member =>
+            [member.id, member.jid, member.lid].some(id => this.isSameUser(id, participantJid)))
+        return Boolean(participant?.admin)
+    }
+
+    // "5511999999999:12@s.whatsapp.net" -> "5511999999999" (drops the device and server parts)
+    static userPart(jid) {
+        return typeof jid === 'string' ? jid.split('@')[0].split(':')[0] : null
+    }
+
+    static isSameUser(jidA, jidB) {
+        const userA = this.userPart(jidA)
+        return Boolean(userA) && userA === this.userPart(jidB)
+    }
+}
+
+module.exports = GroupService
@@ -1,295 +1,662 @@
-const express = require('express')
-const cors = require('cors')
-const helmet = require('helmet')
-const rateLimit = require('express-rate-limit')
-const LinkService = require('../services/linkService')
-const SecurityService = require('../services/securityService')
-
-class WebServer {
-    constructor() {
-        this.app = express()
-        
-        // Test LinkService import
+const { users, links, clicks, linkHistory, utmPresets } = require('../repositories')
+const crypto = require('crypto')
+const { promisify } = require('util')
+const urlRegex = require('url-regex')
+const geoip = require('geoip-lite')
+const { UAParser } = require('ua-parser-js')
+const { Bots, Crawlers, Fetchers } = require('ua-parser-js/extensions')
+const { isBot } = require('ua-parser-js/helpers')
+const SecurityService = require('./securityService')
+const LocaleService = require('./localeService')
+const LRUCache = require('../utils/lruCache')
+const { INTERVALS, isValidTimeZone, truncateToInterval, addToLocal, zonedTimeToUtc } = require('../utils/timeZone')
+
+const INTERVAL_MS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+}
+
+const scrypt = promisify(crypto.scrypt)
+
+class LinkService {
+    // Cache for redirect lookups (per process - the TTL bounds staleness across instances)
+    static linkCache = new LRUCache({
+        maxSize: Number(process.env.LINK_CACHE_SIZE) || 1000,
+        ttlMs: Number(process.env.LINK_CACHE_TTL_MS) || 60 * 1000
+    })
+
+    // Generate unique short code (6 bytes encode to 8 base64url chars, trimmed to 6)
+    static generateShortCode() {
+        return crypto.randomBytes(6).toString('base64url').slice(0, 6)
+    }
+
+    // Validate URL
+    static isValidUrl(string) {
+        return urlRegex({exact: true}).test(string)
+    }
+
+    // Extract domain from URL
+    static extractDomain(url) {
         try {
-            console.log('🧪 Testing LinkService import...')
-            console.log('LinkService methods:', Object.getOwnPropertyNames(LinkService))
-            console.log('✅ LinkService imported successfully')
-        } catch (error) {
-            console.error('❌ LinkService import failed:', error.message)
+            return new URL(url).hostname
+        } catch {
+            return null
         }
-        
-        this.setupMiddleware()
-        this.setupRoutes()
-    }
-
-    setupMiddleware() {
-        // Trust proxy FIRST - crucial for Render and other cloud platforms
-        this.app.set('trust proxy', true)
-        
-        // Security middleware
-        this.app.use(helmet())
-        this.app.use(cors())
-        
-        // Rate limiting
-        const limiter = rateLimit({
-            windowMs: 15 * 60 * 1000, // 15 minutes
-            max: 100 // limit each IP to 100 requests per windowMs
-        })
-        this.app.use(limiter)
+    }
 
-        // Body parsing
-        this.app.use(express.json())
-        this.app.use(express.urlencoded({ extended: true }))
+    // Create or get user
+    static async createOrGetUser(phoneNumber, username = null, displayName = null) {
+        try {
+            // Check if user exists
+            const existingUser = await users.findByPhone(phoneNumber)
 
-        // Debug middleware to log all requests
-        this.app.use((req, res, next) => {
-            console.log(`📥 ${req.method} ${req.url} - IP: ${req.ip}`)
-            console.log(`📋 Headers:`, req.headers)
-            next()
-        })
+            if (existingUser) {
+                return existingUser
+            }
+
+            // Create new user
+            const newUser = await users.create({
+                phone_number: phoneNumber,
+                username: username,
+                display_name: displayName
+            })
+
+            console.log(`👤 New user created: ${phoneNumber}`)
+            return newUser
+        } catch (error) {
+            console.error('❌ Error creating user:', error.message)
+            return null
+        }
     }
 
-    setupRoutes() {
-        // Health check
-        this.app.get('/health', (req, res) => {
-            console.log('🏥 Health check requested')
-            res.json({ status: 'OK', timestamp: new Date().toISOString() })
-        })
+    // Check whether a short code is free to use
+    static async isShortCodeAvailable(shortCode) {
+        const existing = await links.findByCode(shortCode)
+        return !existing
+    }
 
-        // Redirect route - handles short URL clicks
-        this.app.get('/:shortCode', async (req, res) => {
-            const { shortCode } = req.params
-            console.log(`🔍 Redirect requested for shortCode: ${shortCode}`)
-            
-            try {
-                // Check if LinkService exists and has the method
-                if (!LinkService || typeof LinkService.getLinkByShortCode !== 'function') {
-                    console.error('❌ LinkService.getLinkByShortCode is not available')
-                    return res.status(500).send('Service unavailable')
-                }
+    // Shorten URL with security checks
+    // options.customCode requests a specific alias instead of a generated code
+    // options.expiresAt (Date) and options.maxClicks limit how long the link redirects
+    // options.password requires visitors to unlock the link before redirecting
+    // options.utm ({ source, medium, campaign }) or options.utmPreset (a saved preset name) tags the destination
+    static async shortenUrl(originalUrl, phoneNumber, username = null, displayName = null, options = {}) {
+        try {
+            // Reject malformed or reserved aliases before any other work
+            if (options.customCode) {
+                const aliasCheck = SecurityService.checkAlias(options.customCode)
+                if (!aliasCheck.safe) throw LocaleService.error(aliasCheck.messageKey, aliasCheck.messageVars)
+            }
 
-                console.log('🔄 Looking up link in database...')
-                const link = await LinkService.getLinkByShortCode(shortCode)
-                console.log('📊 Database result:', link ? 'Found' : 'Not found')
-                
-                if (link) {
-                    console.log('🔗 Link details:', {
-                        id: link.id,
-                        original_url: link.original_url,
-                        short_code: link.short_code
-                    })
-                }
+            // Tag the destination so the security check sees the final URL
+            const utm = options.utmPreset
+                ? await this.getUtmPresetTags(phoneNumber, options.utmPreset)
+                : options.utm
+            if (utm) originalUrl = this.applyUtmTags(originalUrl, utm)
 
-                if (!link) {
-                    console.log('❌ Link not found, showing 404 page')
-                    return res.status(404).send(`
-                        <html>
-                            <head><title>Link Not Found</title></head>
-                            <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
-                                <h1>🔍 Link Not Found</h1>
-                                <p>The short link "${shortCode}" doesn't exist or has expired.</p>
-                                <a href="https://wa.me/YOUR_BOT_NUMBER" style="color: #25D366;">Create a short link with our WhatsApp bot</a>
-                                <hr>
-                                <p><small>Debug: Searched for "${shortCode}"</small></p>
-                            </body>
-                        </html>
-                    `)
-                }
+            // Security check first
+            const securityCheck = await SecurityService.isUrlSafe(originalUrl, phoneNumber)
+            if (!securityCheck.safe) {
+                await SecurityService.logSecurityEvent(phoneNumber, originalUrl, securityCheck.reason, 'blocked')
+                throw LocaleService.error(securityCheck.messageKey)
+            }
 
-                // Validate the original URL
-                if (!link.original_url) {
-                    console.error('❌ Link has no original_url')
-                    return res.status(500).send('Invalid link data')
-                }
+            // Validate URL
+            if (!this.isValidUrl(originalUrl)) {
+                throw LocaleService.error('errors.invalidUrl')
+            }
 
-                // Clean and validate the URL
-                let redirectUrl = link.original_url.trim()
-                
-                // Ensure URL has protocol - be more careful about this
-                if (!redirectUrl.match(/^https?:\/\//i)) {
-                    redirectUrl = 'https://' + redirectUrl
-                    console.log(`🔧 Added https:// to URL: ${redirectUrl}`)
-                }
+            // Get or create user
+            const user = await this.createOrGetUser(phoneNumber, username, displayName)
+            if (!user) throw new Error('Failed to create user')
 
-                // Validate the final URL format
-                try {
-                    new URL(redirectUrl) // This will throw if invalid
-                    console.log(`🎯 Validated redirect URL: ${redirectUrl}`)
-                } catch (urlError) {
-                    console.error('❌ Invalid URL format:', redirectUrl)
-                    return res.status(400).send('Invalid URL format in database')
-                }
+            let shortCode
 
-                // Track the click BEFORE redirect (important!)
-                try {
-                    const clientIP = req.ip || req.connection.remoteAddress || 'unknown'
-                    const userAgent = req.get('User-Agent') || 'unknown'
-                    const referrer = req.get('Referer') || null
+            if (options.customCode) {
+                shortCode = options.customCode
+                if (!(await this.isShortCodeAvailable(shortCode))) {
+                    throw LocaleService.error('errors.aliasTaken', { alias: shortCode })
+                }
+            } else {
+                // Generate unique short code
+                let isUnique = false
+                let attempts = 0
 
-                    console.log('📊 Tracking click:', { clientIP, userAgent: userAgent.substring(0, 50) + '...' })
+                while (!isUnique && attempts < 10) {
+                    shortCode = this.generateShortCode()
                     
-                    if (LinkService.trackClick && typeof LinkService.trackClick === 'function') {
-                        await LinkService.trackClick(link.id, clientIP, userAgent, referrer)
-                        console.log('✅ Click tracked successfully')
-                    } else {
-                        console.log('⚠️ LinkService.trackClick not available')
+                    // Validate short code format
+                    if (!SecurityService.validateGeneratedCode(shortCode)) {
+                        attempts++
+                        continue
                     }
-                } catch (trackError) {
-                    console.error('⚠️ Click tracking failed:', trackError.message)
-                    // Continue with redirect even if tracking fails
+                    
+                    if (await this.isShortCodeAvailable(shortCode)) isUnique = true
+                    attempts++
                 }
 
-                // Perform the redirect with proper headers
-                console.log(`🚀 Executing redirect to: ${redirectUrl}`)
-                
-                // Set proper headers for redirect
-                res.writeHead(302, {
-                    'Location': redirectUrl,
-                    'Cache-Control': 'no-cache, no-store, must-revalidate',
-                    'Pragma': 'no-cache',
-                    'Expires': '0'
-                })
-                res.end()
-                
-                console.log('✅ Manual redirect sent with headers')
-
-            } catch (error) {
-                console.error('❌ Redirect error:', error)
-                console.error('📊 Error details:', {
-                    message: error.message,
-                    stack: error.stack?.split('\n').slice(0, 5)
-                })
-                res.status(500).send(`
-                    <html>
-                        <head><title>Server Error</title></head>
-                        <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
-                            <h1>❌ Server Error</h1>
-                            <p>Something went wrong while processing your request.</p>
-                            <p><small>Error: ${error.message}</small></p>
-                        </body>
-                    </html>
-                `)
+                if (!isUnique) throw new Error('Failed to generate unique short code')
             }
+
+            // Create shortened link
+            const shortUrl = `${process.env.SHORT_DOMAIN || 'http://localhost:3000'}/${shortCode}`
+            const domain = this.extractDomain(originalUrl)
+
+            const link = await links.create({
+                user_id: user.id,
+                original_url: originalUrl,
+                short_code: shortCode,
+                short_url: shortUrl,
+                domain: domain,
+                expires_at: options.expiresAt ? options.expiresAt.toISOString() : null,
+                max_clicks: options.maxClicks || null,
+                password_hash: options.password ? await this.hashPassword(options.password) : null
+            })
+
+            // Update user's link count
+            await users.update(user.id, { total_links_created: user.total_links_created + 1 })
+
+            // Log successful creation
+            await SecurityService.logSecurityEvent(phoneNumber, originalUrl, 'link_created', 'allowed')
+            
+            console.log(`🔗 Link shortened: ${originalUrl} -> ${shortUrl}`)
+            return link
+        } catch (error) {
+            console.error('❌ Error shortening URL:', error.message)
+            throw error
+        }
+    }
+
+    // Add utm_source/utm_medium/utm_campaign to a URL. The rest of the query string and the
+    // fragment are kept exactly as written; existing values for the same tags are replaced.
+    static applyUtmTags(url, { source, medium, campaign }) {
+        const tags = [['utm_source', source], ['utm_medium', medium], ['utm_campaign', campaign]]
+            .filter(([, value]) => value)
+
+        const hashIndex = url.indexOf('#')
+        const fragment = hashIndex === -1 ? '' : url.slice(hashIndex)
+        const withoutFragment = hashIndex === -1 ? url : url.slice(0, hashIndex)
+
+        const queryIndex = withoutFragment.indexOf('?')
+        let base = queryIndex === -1 ? withoutFragment : withoutFragment.slice(0, queryIndex)
+        // "https://example.com" -> "https://example.com/" so the query follows a path
+        if (/^[a-z][a-z0-9+.-]*:\/\/[^/]+$/i.test(base)) base += '/'
+        const query = queryIndex === -1 ? '' : withoutFragment.slice(queryIndex + 1)
+
+        const kept = query.split('&').filter(pair => pair && !tags.some(([key]) => pair.split('=')[0] === key))
+        const added = tags.map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+        const newQuery = [...kept, ...added].join('&')
+
+        return `${base}${newQuery ? `?${newQuery}` : ''}${fragment}`
+    }
+
+    // Save (or overwrite) a named UTM preset for a user
+    static async saveUtmPreset(phoneNumber, name, { source, medium, campaign }, username = null) {
+        const user = await this.createOrGetUser(phoneNumber, username, username)
+        if (!user) throw new Error('Failed to create user')
+
+        return utmPresets.save({
+            user_id: user.id,
+            name,
+            utm_source: source,
+            utm_medium: medium || null,
+            utm_campaign: campaign || null
         })
+    }
 
-        // API route to get link statistics
-        this.app.get('/api/stats/:shortCode', async (req, res) => {
-            try {
-                const { shortCode } = req.params
-                console.log(`📊 Stats requested for: ${shortCode}`)
-                
-                const stats = await LinkService.getLinkStats(shortCode)
+    static async listUtmPresets(phoneNumber) {
+        const user = await users.findByPhone(phoneNumber)
+        return user ? utmPresets.listByUser(user.id) : []
+    }
 
-                if (!stats) {
-                    return res.status(404).json({ error: 'Link not found' })
-                }
+    static async deleteUtmPreset(phoneNumber, name) {
+        const user = await users.findByPhone(phoneNumber)
+        return user ? utmPresets.delete(user.id, name) : false
+    }
 
-                // Don't expose sensitive data
-                const publicStats = {
-                    shortCode: stats.short_code,
-                    shortUrl: stats.short_url,
-                    totalClicks: stats.total_clicks,
-                    uniqueClicks: stats.unique_clicks,
-                    todayClicks: stats.todayClicks,
-                    createdAt: stats.created_at,
-                    deviceBreakdown: stats.deviceBreakdown,
-                    browserBreakdown: stats.browserBreakdown
-                }
+    // Tags from a saved preset, in the shape applyUtmTags() expects
+    static async getUtmPresetTags(phoneNumber, name) {
+        const user = await users.findByPhone(phoneNumber)
+        const preset = user ? await utmPresets.findByName(user.id, name) : null
+        if (!preset) {
+            throw LocaleService.error('errors.presetNotFound', { name })
+        }
 
-                res.json(publicStats)
-            } catch (error) {
-                console.error('❌ Stats API error:', error)
-                res.status(500).json({ error: 'Internal Server Error' })
-            }
+        return { source: preset.utm_source, medium: preset.utm_medium, campaign: preset.utm_campaign }
+    }
+
+    // Get link by short code (cached)
+    static async getLinkByShortCode(shortCode) {
+        try {
+            // Neither a generated code nor a valid alias - no need to ask the database
+            if (!SecurityService.validateShortCode(shortCode)) return null
+
+            const cached = this.linkCache.get(shortCode)
+            if (cached) return cached
+
+            const link = await links.findActiveByCode(shortCode)
+            if (link) this.cacheLink(link)
+            return link
+        } catch (error) {
+            console.error('❌ Error getting link:', error.message)
+            return null
+        }
+    }
+
+    static cacheLink(link) {
+        // Click limits need fresh counters on every request
+        if (link.max_clicks) return
+
+        // Never keep a link cached past its expiry date
+        let ttlMs = this.linkCache.ttlMs
+        if (link.expires_at) {
+            ttlMs = Math.min(ttlMs, new Date(link.expires_at) - Date.now())
+        }
+
+        this.linkCache.set(link.short_code, link, ttlMs)
+    }
+
+    // Drop a link from the redirect cache after it changes
+    static invalidateLink(shortCode) {
+        if (this.linkCache.delete(shortCode)) {
+            console.log(`🧹 Cache invalidated for ${shortCode}`)
+        }
+    }
+
+    // Get a link by short code, including inactive links (not cached)
+    static async getLink(shortCode) {
+        return links.findByCode(shortCode)
+    }
+
+    // Get a link owned by the given user, including inactive links
+    static async getOwnedLink(shortCode, phoneNumber) {
+        const link = await links.findByCode(shortCode)
+        if (!link) throw LocaleService.error('errors.linkNotFound')
+        if (link.users?.phone_number !== phoneNumber) {
+            throw LocaleService.error('errors.notLinkOwner')
+        }
+
+        return link
+    }
+
+    // Detailed stats are for the owner only, unless the link has public stats turned on
+    static canViewStats(link, phoneNumber) {
+        return link.public_stats === true || link.users?.phone_number === phoneNumber
+    }
+
+    // Signed link to a link's stats API that works without an API key
+    static createStatsUrl(shortCode, ttlMs = 7 * 24 * 60 * 60 * 1000) {
+        const token = SecurityService.signToken({ scope: 'stats', shortCode }, ttlMs)
+        return `${process.env.SHORT_DOMAIN || 'http://localhost:3000'}/api/stats/${shortCode}?token=${token}`
+    }
+
+    // Short-lived signed login link for the web dashboard
+    static createDashboardLoginUrl(phoneNumber, ttlMs = 15 * 60 * 1000) {
+        const jti = crypto.randomBytes(16).toString('base64url')
+        const token = SecurityService.signToken({ scope: 'dashboard-login', phoneNumber, jti }, ttlMs)
+        return `${process.env.SHORT_DOMAIN || 'http://localhost:3000'}/dashboard/login?token=${token}`
+    }
+
+    // Turn public stats on or off for a link owned by the user
+    static async setPublicStats(shortCode, phoneNumber, isPublic) {
+        const link = await this.getOwnedLink(shortCode, phoneNumber)
+        return links.update(link.id, { public_stats: isPublic })
+    }
+
+    // Activate or deactivate a link owned by the user
+    static async setLinkActive(shortCode, phoneNumber, isActive) {
+        const link = await this.getOwnedLink(shortCode, phoneNumber)
+
+        const updatedLink = await links.update(link.id, { is_active: isActive })
+        this.invalidateLink(link.short_code)
+        console.log(`🔧 Link ${shortCode} ${isActive ? 'enabled' : 'disabled'} by ${phoneNumber}`)
+        return updatedLink
+    }
+
+    // Change the destination of a link owned by the user, keeping the old one in history
+    static async updateLinkUrl(shortCode, phoneNumber, newUrl) {
+        const link = await this.getOwnedLink(shortCode, phoneNumber)
+
+        const securityCheck = await SecurityService.isUrlSafe(newUrl, phoneNumber)
+        if (!securityCheck.safe) {
+            await SecurityService.logSecurityEvent(phoneNumber, newUrl, securityCheck.reason, 'blocked')
+            throw LocaleService.error(securityCheck.messageKey)
+        }
+
+        if (!this.isValidUrl(newUrl)) {
+            throw LocaleService.error('errors.invalidUrl')
+        }
+
+        if (newUrl === link.original_url) {
+            throw LocaleService.error('errors.sameUrl')
+        }
+
+        const updatedLink = await links.update(link.id, {
+            original_url: newUrl,
+            domain: this.extractDomain(newUrl)
         })
+        this.invalidateLink(link.short_code)
 
-        // Preview route (optional - shows link info without redirecting)
-        this.app.get('/preview/:shortCode', async (req, res) => {
-            try {
-                const { shortCode } = req.params
-                console.log(`👀 Preview requested for: ${shortCode}`)
-                
-                const link = await LinkService.getLinkByShortCode(shortCode)
+        try {
+            await linkHistory.create({
+                link_id: link.id,
+                previous_url: link.original_url,
+                new_url: newUrl
+            })
+        } catch (historyError) {
+            console.error('⚠️ Failed to record URL history:', historyError.message)
+        }
 
-                if (!link) {
-                    return res.status(404).send('Link not found')
-                }
+        await SecurityService.logSecurityEvent(phoneNumber, newUrl, 'link_edited', 'allowed')
+        console.log(`✏️ Link ${shortCode} now points to ${newUrl}`)
+        return { ...updatedLink, previous_url: link.original_url }
+    }
+
+    // Get past destinations of a link, newest first
+    static async getLinkUrlHistory(linkId) {
+        return linkHistory.listByLink(linkId)
+    }
+
+    // Permanently delete a link owned by the user, along with its clicks
+    static async deleteLink(shortCode, phoneNumber) {
+        const link = await this.getOwnedLink(shortCode, phoneNumber)
+
+        await clicks.deleteByLink(link.id)
+        await links.delete(link.id)
+        this.invalidateLink(link.short_code)
+        console.log(`🗑️ Link ${shortCode} deleted by ${phoneNumber}`)
+        return link
+    }
+
+    // Check whether a link has passed its expiry date or click limit.
+    // pendingClicks are clicks already accepted but not yet added to total_clicks.
+    static isLinkExpired(link, pendingClicks = 0) {
+        if (link.expires_at && new Date(link.expires_at) <= new Date()) {
+            return true
+        }
+        if (link.max_clicks && link.total_clicks + pendingClicks >= link.max_clicks) {
+            return true
+        }
+        return false
+    }
 
-                res.send(`
-                    <html>
-                        <head>
-                            <title>Link Preview</title>
-                            <style>
-                                body { font-family: Arial, sans-serif; max-width: 800px; margin: 50px auto; padding: 20px; }
-                                .card { border: 1px solid #ddd; border-radius: 8px; padding: 20px; background: #f9f9f9; }
-                                .stats { display: flex; gap: 20px; margin: 20px 0; }
-                                .stat { text-align: center; }
-                                .continue-btn { background: #25D366; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; }
-                                .original-url { word-break: break-all; color: #666; }
-                                .debug { background: #f0f0f0; padding: 10px; font-size: 12px; margin-top: 20px; }
-                            </style>
-                        </head>
-                        <body>
-                            <div class="card">
-                                <h1>🔗 Link Preview</h1>
-                                <p><strong>Short URL:</strong> ${link.short_url}</p>
-                                <p><strong>Original URL:</strong> <span class="original-url">${link.original_url}</span></p>
-                                
-                                <div class="stats">
-                                    <div class="stat">
-                                        <h3>${link.total_clicks || 0}</h3>
-                                        <p>Total Clicks</p>
-                                    </div>
-                                    <div class="stat">
-                                        <h3>${link.unique_clicks || 0}</h3>
-                                        <p>Unique Clicks</p>
-                                    </div>
-                                </div>
-                                
-                                <p>
-                                    <a href="/${shortCode}" class="continue-btn">Continue to Original Link</a>
-                                </p>
-                                
-                                <p><small>Created: ${new Date(link.created_at).toLocaleDateString()}</small></p>
-                                
-                                <div class="debug">
-                                    <strong>Debug Info:</strong><br>
-                                    Short Code: ${shortCode}<br>
-                                    Link ID: ${link.id}<br>
-                                    Has Original URL: ${!!link.original_url}
-                                </div>
-                            </div>
-                        </body>
-                    </html>
-                `)
+    // Hash a link password with a random salt ("salt:hash", hex encoded)
+    static async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex')
+        const hash = await scrypt(password, salt, 64)
+        return `${salt}:${hash.toString('hex')}`
+    }
+
+    // Check a submitted password against a link's stored hash
+    static async verifyLinkPassword(link, password) {
+        if (!link.password_hash) return true
+        if (!password) return false
+
+        const [salt, storedHash] = link.password_hash.split(':')
+        if (!salt || !storedHash) return false
+
+        const hash = await scrypt(password, salt, 64)
+        const expected = Buffer.from(storedHash, 'hex')
+        return expected.length === hash.length && crypto.timingSafeEqual(expected, hash)
+    }
+
+    // Record a batch of clicks: { linkId, ipAddress, userAgent, referrer, utm, source, clickedAt }
+    // utm holds the utm_source / utm_medium / utm_campaign query parameters of the request
+    // source is where the click came from when known, e.g. 'qr' for QR code scans
+    // Inserts all rows at once, then bumps each link's counters once.
+    // Bot hits are stored with is_bot = true but never count as clicks.
+    static async recordClicks(batch) {
+        const parsedClicks = batch.map(click => ({ ...click, agent: this.parseUserAgent(click.userAgent) }))
+        const humanClicks = parsedClicks.filter(click => !click.agent.is_bot)
+
+        // Work out uniqueness per link, including repeat IPs within the batch itself
+        const seenIps = new Map()
+        for (const linkId of new Set(humanClicks.map(click => click.linkId))) {
+            const ipAddresses = [...new Set(humanClicks.filter(click => click.linkId === linkId).map(click => click.ipAddress))]
+            seenIps.set(linkId, new Set(await clicks.findClickedIps(linkId, ipAddresses)))
+        }
+
+        const results = parsedClicks.map(click => {
+            if (click.agent.is_bot) return { ...click, isUnique: false }
+
+            const linkSeenIps = seenIps.get(click.linkId)
+            const isUnique = !linkSeenIps.has(click.ipAddress)
+            linkSeenIps.add(click.ipAddress)
+            return { ...click, isUnique }
+        })
+
+        // Insert click records
+        await clicks.createMany(results.map(click => ({
+            link_id: click.linkId,
+            ip_address: click.ipAddress,
+            user_agent: click.userAgent,
+            referrer: click.referrer || null,
+            referrer_domain: this.normalizeReferrer(click.referrer),
+            utm_source: click.utm?.source || null,
+            utm_medium: click.utm?.medium || null,
+            utm_campaign: click.utm?.campaign || null,
+            source: click.source || null,
+            ...click.agent,
+            ...this.lookupLocation(click.ipAddress),
+            is_unique: click.isUnique,
+            clicked_at: (click.clickedAt || new Date()).toISOString()
+        })))
+
+        // Update link statistics - the clicks are already stored, so a failure here
+        // only leaves counters behind, which repairClickCounters can fix
+        const counters = new Map()
+        for (const click of results.filter(click => !click.agent.is_bot)) {
+            const counter = counters.get(click.linkId) || { total: 0, unique: 0 }
+            counter.total++
+            if (click.isUnique) counter.unique++
+            counters.set(click.linkId, counter)
+        }
+
+        for (const [linkId, counter] of counters) {
+            try {
+                await links.incrementClicks(linkId, counter.total, counter.unique)
             } catch (error) {
-                console.error('❌ Preview error:', error)
-                res.status(500).send('Internal Server Error')
+                console.error(`⚠️ Failed to update counters for link ${linkId}, run npm run repair:counters:`, error.message)
             }
-        })
+        }
 
-        // Catch-all route for debugging - REMOVED THE PROBLEMATIC * ROUTE
+        console.log(`📊 Recorded ${results.length} click(s) for ${new Set(batch.map(click => click.linkId)).size} link(s)`)
+        return results
     }
 
-    start(port = process.env.PORT || 3000) {
-        const host = process.env.NODE_ENV === 'production' ? '0.0.0.0' : 'localhost'
-        
-        this.server = this.app.listen(port, host, () => {
-            console.log(`🌐 Web server running on ${host}:${port}`)
-            console.log(`🔗 Ready to handle short link redirects`)
-            console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`)
-            console.log(`🛠️  Debug mode enabled - check logs for detailed info`)
-        })
-        
-        return this.server
+    // Recompute total_clicks and unique_clicks from link_clicks (all links, or one by id)
+    static async repairClickCounters(linkId = null) {
+        const repaired = await links.recomputeClickCounters(linkId)
+        console.log(`🔧 Click counters repaired for ${repaired} link(s)`)
+        return repaired
     }
 
-    stop() {
-        if (this.server) {
-            this.server.close()
-            console.log('🛑 Web server stopped')
+    // Reduce a Referer header to its source domain, e.g.
+    // "https://l.facebook.com/l.php?u=..." -> "facebook.com"
+    static normalizeReferrer(referrer) {
+        if (!referrer) return null
+
+        let hostname
+        try {
+            hostname = new URL(referrer).hostname.toLowerCase()
+        } catch {
+            return null
         }
+
+        if (!hostname) return null
+
+        // Strip mobile and link-shim prefixes so all traffic from a site groups together
+        hostname = hostname.replace(/^(www|m|mobile|l|lm|out)\./, '')
+        return this.REFERRER_ALIASES[hostname] || hostname
+    }
+
+    // Domains that stand in for another source
+    static REFERRER_ALIASES = {
+        't.co': 'twitter.com',
+        'x.com': 'twitter.com',
+        'lnkd.in': 'linkedin.com',
+        'youtu.be': 'youtube.com',
+        'fb.me': 'facebook.com',
+        'com.google.android.gm': 'mail.google.com'
+    }
+
+    // Resolve country, region and city for an IP using the bundled geoip-lite database
+    static lookupLocation(ipAddress) {
+        // Express reports IPv4 clients as IPv4-mapped IPv6 addresses (::ffff:1.2.3.4)
+        const ip = (ipAddress || '').replace(/^::ffff:/, '')
+        const location = ip ? geoip.lookup(ip) : null
+
+        return {
+            country: location?.country || null,
+            region: location?.region || null,
+            city: location?.city || null
+        }
+    }
+
+    // Parse a user agent into the link_clicks columns. The extensions recognise
+    // crawlers and link-preview fetchers (WhatsApp, Slackbot, Twitterbot, Googlebot...)
+    static parseUserAgent(userAgent) {
+        const { browser, os, device } = new UAParser(userAgent, [Bots, Crawlers, Fetchers]).getResult()
+        const bot = ['crawler', 'fetcher'].includes(browser.type) || isBot(userAgent)
+
+        return {
+            device_type: bot ? 'bot' : (device.type || 'desktop'),
+            browser: browser.name || 'Unknown',
+            browser_version: browser.version || null,
+            os: os.name || 'Unknown',
+            device_vendor: device.vendor || null,
+            is_bot: bot
+        }
+    }
+
+    // Get user's links
+    static async getUserLinks(phoneNumber) {
+        try {
+            const user = await users.findByPhone(phoneNumber)
+            if (!user) return null
+
+            return {
+                ...user,
+                shortened_links: await links.listByUser(user.id)
+            }
+        } catch (error) {
+            console.error('❌ Error getting user links:', error.message)
+            return null
+        }
+    }
+
+    // One page of a user's links for the dashboard
+    // search matches the short code or destination; sort is created, clicks or code
+    static async searchUserLinks(phoneNumber, { search = '', sort = 'created', order = 'desc', page = 1, pageSize = 20 } = {}) {
+        const user = await users.findByPhone(phoneNumber)
+        const userLinks = user ? await links.listByUser(user.id) : []
+
+        const term = search.trim().toLowerCase()
+        const matches = term
+            ? userLinks.filter(link =>
+                link.short_code.toLowerCase().includes(term) || link.original_url.toLowerCase().includes(term))
+            : userLinks
+
+        const sortKeys = {
+            created: link => new Date(link.created_at).getTime(),
+            clicks: link => link.total_clicks,
+            code: link => link.short_code.toLowerCase()
+        }
+        const key = sortKeys[sort] || sortKeys.created
+        const direction = order === 'asc' ? 1 : -1
+        matches.sort((a, b) => (key(a) > key(b) ? 1 : key(a) < key(b) ? -1 : 0) * direction)
+
+        const pages = Math.max(1, Math.ceil(matches.length / pageSize))
+        const currentPage = Math.min(Math.max(1, page), pages)
+
+        return {
+            links: matches.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+            total: matches.length,
+            page: currentPage,
+            pages
+        }
+    }
+
+    // Values shown per breakdown (devices, countries, referrers...) in the stats
+    static STATS_BREAKDOWN_LIMIT = 10
+
+    // Get link statistics
+    static async getLinkStats(shortCode) {
+        try {
+            const link = await links.findByCode(shortCode)
+            if (!link) return null
+
+            // Counted by the database - bot and preview hits are reported separately
+            const timeZone = process.env.STATS_TIME_ZONE || 'UTC'
+            const todayStart = zonedTimeToUtc(truncateToInterval(new Date(), 'day', timeZone), timeZone)
+            const summary = await clicks.summary(link.id, { todayStart, limit: this.STATS_BREAKDOWN_LIMIT })
+
+            return {
+                ...link,
+                urlHistory: await this.getLinkUrlHistory(link.id),
+                todayClicks: this.summaryTotal(summary, 'today'),
+                deviceBreakdown: this.summaryBreakdown(summary, 'device'),
+                browserBreakdown: this.summaryBreakdown(summary, 'browser'),
+                osBreakdown: this.summaryBreakdown(summary, 'os'),
+                qrClicks: this.summaryTotal(summary, 'qr'),
+                botClicks: this.summaryTotal(summary, 'bots'),
+                botBreakdown: this.summaryBreakdown(summary, 'bot'),
+                countryBreakdown: this.summaryBreakdown(summary, 'country'),
+                referrerBreakdown: this.summaryBreakdown(summary, 'referrer'),
+                campaignBreakdown: this.summaryBreakdown(summary, 'campaign')
+            }
+        } catch (error) {
+            console.error('❌ Error getting link stats:', error.message)
+            return null
+        }
+    }
+
+    // Check time series options, returning an error message or null if they are usable
+    static validateTimeseriesOptions({ from, to, interval, timeZone }) {
+        if (!INTERVALS.includes(interval)) return `interval must be one of: ${INTERVALS.join(', ')}`
+        if (isNaN(from) || isNaN(to)) return 'from and to must be valid dates (ISO 8601)'
+        if (from >= to) return 'from must be before to'
+        if (!isValidTimeZone(timeZone)) return `Unknown time zone "${timeZone}"`
+        if ((to - from) / INTERVAL_MS[interval] > 1000) return 'Range too large - at most 1000 buckets per request'
+        return null
+    }
+
+    // Bucketed total and unique click counts for a link, aggregated by the storage backend
+    static async getClickTimeseries(shortCode, { from, to, interval = 'day', timeZone = 'UTC' }) {
+        const link = await links.findByCode(shortCode)
+        if (!link) return null
+
+        return {
+            shortCode: link.short_code,
+            interval,
+            timeZone,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            buckets: await clicks.timeseries(link.id, { from, to, interval, timeZone })
+        }
+    }
+
+    // Daily clicks for the last `days` local days, including today
+    static async getRecentDailyClicks(shortCode, days = 7, timeZone = process.env.STATS_TIME_ZONE || 'UTC') {
+        const today = truncateToInterval(new Date(), 'day', timeZone)
+        const from = zonedTimeToUtc(addToLocal(today, 'day', -(days - 1)), timeZone)
+
+        return this.getClickTimeseries(shortCode, { from, to: new Date(), interval: 'day', timeZone })
+    }
+
+    // { value: clicks } for one dimension of clicks.summary(), most clicks first
+    static summaryBreakdown(summary, dimension) {
+        return Object.fromEntries(summary
+            .filter(row => row.dimension === dimension)
+            .sort((a, b) => b.clicks - a.clicks)
+            .map(row => [row.value, row.clicks]))
+    }
+
+    // Single counts from clicks.summary(): 'today', 'qr' or 'bots'
+    static summaryTotal(summary, dimension) {
+        return summary.find(row => row.dimension === dimension)?.clicks || 0
     }
 }
 
-module.exports = WebServer
\ No newline at end of file
+module.exports = LinkService
\ No newline at end of file
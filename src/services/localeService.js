@@ -0,0 +1,137 @@
+const { users } = require('../repositories')
+const LRUCache = require('../utils/lruCache')
+
+const catalogues = {
+    en: require('../locales/en'),
+    pt: require('../locales/pt'),
+    fr: require('../locales/fr')
+}
+
+// Country calling codes where we answer in Portuguese or French by default.
+// Everything else gets English until the user picks a language with /lang.
+const CALLING_CODE_LOCALES = {
+    pt: ['55', '351', '244', '238', '245', '258', '239', '670'],
+    fr: [
+        '33', '352', '377', '212', '213', '216', '221', '223', '224', '225', '226', '227', '228', '229',
+        '235', '236', '237', '241', '242', '243', '253', '257', '261', '262', '269', '509', '590', '594',
+        '596', '687', '689'
+    ]
+}
+
+// Message catalogues and language choice for the bot and the public web pages
+class LocaleService {
+    static DEFAULT_LOCALE = 'en'
+    static LOCALES = Object.keys(catalogues)
+
+    // Every incoming message needs the sender's language
+    static userLocaleCache = new LRUCache({ maxSize: 1000, ttlMs: 5 * 60 * 1000 })
+
+    static isSupported(locale) {
+        return Object.hasOwn(catalogues, locale)
+    }
+
+    // Message for a key, with {name} placeholders replaced from vars.
+    // Falls back to English for keys a catalogue doesn't have yet.
+    static t(locale, key, vars = {}) {
+        const template = catalogues[locale]?.[key] ?? catalogues[this.DEFAULT_LOCALE][key]
+        if (template === undefined) {
+            console.warn(`⚠️ Missing message "${key}"`)
+            return key
+        }
+
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            vars[name] === undefined || vars[name] === null ? placeholder : String(vars[name]))
+    }
+
+    static has(key) {
+        return Object.hasOwn(catalogues[this.DEFAULT_LOCALE], key)
+    }
+
+    // A user-facing error that can be shown in any language. The message itself is
+    // English, for logs and the REST API; the bot translates it with errorMessage().
+    static error(key, vars = {}) {
+        const error = new Error(this.t(this.DEFAULT_LOCALE, key, vars))
+        error.messageKey = key
+        error.messageVars = vars
+        return error
+    }
+
+    static errorMessage(locale, error) {
+        return error.messageKey ? this.t(locale, error.messageKey, error.messageVars) : error.message
+    }
+
+    // "5511999999999" -> "pt" (Brazil); the longest matching calling code wins
+    static fromPhoneNumber(phoneNumber) {
+        const digits = String(phoneNumber || '').replace(/\D/g, '')
+        let best = { locale: this.DEFAULT_LOCALE, length: 0 }
+
+        for (const [locale, codes] of Object.entries(CALLING_CODE_LOCALES)) {
+            for (const code of codes) {
+                if (digits.startsWith(code) && code.length > best.length) best = { locale, length: code.length }
+            }
+        }
+
+        return best.locale
+    }
+
+    // "fr-CA,fr;q=0.9,en;q=0.8" -> "fr". Picks the supported language with the highest weight.
+    static fromAcceptLanguage(header) {
+        if (typeof header !== 'string') return this.DEFAULT_LOCALE
+
+        const candidates = header.split(',')
+            .map((part, index) => {
+                const [tag, ...params] = part.trim().split(';')
+                const quality = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean)
+                return {
+                    locale: tag.trim().toLowerCase().split('-')[0],
+                    quality: quality ? Number(quality[1]) : 1,
+                    index
+                }
+            })
+            .filter(candidate => candidate.quality > 0 && this.isSupported(candidate.locale))
+            .sort((a, b) => b.quality - a.quality || a.index - b.index)
+
+        return candidates[0]?.locale || this.DEFAULT_LOCALE
+    }
+
+    // The language saved with /lang, or the one for the user's phone number
+    static async getUserLocale(phoneNumber) {
+        const cached = this.userLocaleCache.get(phoneNumber)
+        if (cached) return cached
+
+        let locale = null
+        try {
+            locale = await this.getSavedLocale(phoneNumber)
+        } catch (error) {
+            console.error('❌ Error loading user language:', error.message)
+        }
+
+        locale = locale || this.fromPhoneNumber(phoneNumber)
+        this.userLocaleCache.set(phoneNumber, locale)
+        return locale
+    }
+
+    // The language chosen with /lang, or null
+    static async getSavedLocale(phoneNumber) {
+        const user = await users.findByPhone(phoneNumber)
+        return this.isSupported(user?.language) ? user.language : null
+    }
+
+    // Save the user's choice; null goes back to detecting it from the phone number
+    static async setUserLocale(user, locale) {
+        await users.update(user.id, { language: locale })
+        this.userLocaleCache.delete(user.phone_number)
+        console.log(`🌐 Language for ${user.phone_number} set to ${locale || 'auto'}`)
+        return locale || this.fromPhoneNumber(user.phone_number)
+    }
+
+    static formatDate(locale, date) {
+        return new Date(date).toLocaleDateString(locale)
+    }
+
+    static formatDateTime(locale, date) {
+        return new Date(date).toLocaleString(locale)
+    }
+}
+
+module.exports = LocaleService
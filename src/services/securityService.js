@@ -1,4 +1,5 @@
-const { supabase } = require('../config/database')
+const crypto = require('crypto')
+const { users, clicks, usedTokens } = require('../repositories')
 
 class SecurityService {
     // Malicious domains/patterns to block
@@ -30,6 +31,9 @@ class SecurityService {
         /data:|javascript:|vbscript:/i
     ]
 
+    // Short codes that would shadow web server routes
+    static RESERVED_CODES = ['api', 'preview', 'health', 'dashboard', 'qr']
+
     // Rate limiting storage (in production, use Redis)
     static rateLimitStore = new Map()
 
@@ -44,7 +48,7 @@ class SecurityService {
                 return { 
                     safe: false, 
                     reason: 'rate_limit',
-                    message: '⚠️ Too many links created. Please wait before creating more.' 
+                    messageKey: 'security.rateLimit' 
                 }
             }
 
@@ -61,7 +65,7 @@ class SecurityService {
                 return { 
                     safe: false, 
                     reason: 'url_too_long',
-                    message: '❌ URL is too long. Maximum 2000 characters allowed.' 
+                    messageKey: 'security.urlTooLong' 
                 }
             }
 
@@ -77,7 +81,7 @@ class SecurityService {
             return { 
                 safe: false, 
                 reason: 'security_error',
-                message: '❌ Security check failed. Please try again.' 
+                messageKey: 'security.checkFailed' 
             }
         }
     }
@@ -119,7 +123,7 @@ class SecurityService {
                 return { 
                     safe: false, 
                     reason: 'blocked_domain',
-                    message: '🚫 This domain is not allowed for security reasons.' 
+                    messageKey: 'security.blockedDomain' 
                 }
             }
         }
@@ -135,7 +139,7 @@ class SecurityService {
                 return { 
                     safe: false, 
                     reason: 'suspicious_pattern',
-                    message: '⚠️ This URL contains suspicious patterns and cannot be shortened.' 
+                    messageKey: 'security.suspiciousPattern' 
                 }
             }
         }
@@ -164,7 +168,7 @@ class SecurityService {
                 return { 
                     safe: false, 
                     reason: 'url_not_found',
-                    message: '❌ URL appears to be broken or not accessible.' 
+                    messageKey: 'security.urlNotFound' 
                 }
             }
 
@@ -201,11 +205,7 @@ class SecurityService {
     // Check if user is trusted (has history of safe links)
     static async isUserTrusted(phoneNumber) {
         try {
-            const { data: user } = await supabase
-                .from('users')
-                .select('total_links_created, created_at')
-                .eq('phone_number', phoneNumber)
-                .single()
+            const user = await users.findByPhone(phoneNumber)
 
             if (!user) return false
 
@@ -220,23 +220,106 @@ class SecurityService {
         }
     }
 
-    // Additional validation for shortened links
+    // Whether a code could belong to a short link: a generated code or a custom alias
     static validateShortCode(shortCode) {
-        // Only allow alphanumeric codes
-        return /^[a-zA-Z0-9]{6}$/.test(shortCode)
+        return this.validateGeneratedCode(shortCode) || this.validateAlias(shortCode)
+    }
+
+    // Generated codes are exactly 6 alphanumeric characters
+    static validateGeneratedCode(shortCode) {
+        return /^[a-zA-Z0-9]{6}$/.test(shortCode) && !this.isReservedCode(shortCode)
+    }
+
+    // Custom aliases: 3-30 letters, digits, '-' or '_', starting with a letter or digit
+    static validateAlias(alias) {
+        return /^[a-zA-Z0-9][a-zA-Z0-9_-]{2,29}$/.test(alias) && !this.isReservedCode(alias)
+    }
+
+    static isReservedCode(shortCode) {
+        return this.RESERVED_CODES.includes(shortCode.toLowerCase())
+    }
+
+    // Check a requested alias before it is stored
+    static checkAlias(alias) {
+        if (this.isReservedCode(alias)) {
+            return {
+                safe: false,
+                reason: 'reserved_alias',
+                messageKey: 'security.reservedAlias',
+                messageVars: { alias }
+            }
+        }
+
+        if (!this.validateAlias(alias)) {
+            return {
+                safe: false,
+                reason: 'invalid_alias',
+                messageKey: 'security.invalidAlias'
+            }
+        }
+
+        return { safe: true }
+    }
+
+    // Secret for signed tokens. Without TOKEN_SECRET a random one is used and tokens stop working on restart.
+    static tokenSecret = process.env.TOKEN_SECRET || crypto.randomBytes(32).toString('hex')
+
+    // Signed, expiring token for a scope, e.g. { scope: 'stats', shortCode: 'abc123' }
+    static signToken(payload, ttlMs) {
+        const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + ttlMs })).toString('base64url')
+        return `${body}.${this.tokenSignature(body)}`
+    }
+
+    // Payload of a valid, unexpired token for the scope, or null
+    static verifyToken(token, scope) {
+        if (typeof token !== 'string') return null
+
+        const [body, signature] = token.split('.')
+        if (!body || !signature) return null
+
+        const expected = Buffer.from(this.tokenSignature(body))
+        const actual = Buffer.from(signature)
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null
+
+        try {
+            const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'))
+            return payload.scope === scope && payload.exp > Date.now() ? payload : null
+        } catch {
+            return null
+        }
+    }
+
+    // Like verifyToken, but each token works only once (e.g. dashboard login links). The token
+    // needs a random jti, which is recorded in storage so it stays used across restarts and instances.
+    static async consumeToken(token, scope) {
+        const payload = this.verifyToken(token, scope)
+        if (!payload?.jti) return null
+
+        const firstUse = await usedTokens.claim(payload.jti, payload.exp)
+        return firstUse ? payload : null
+    }
+
+    static tokenSignature(body) {
+        return crypto.createHmac('sha256', this.tokenSecret).update(body).digest('base64url')
+    }
+
+    // Check a bearer token against ADMIN_API_TOKEN (constant time). No token configured means no access.
+    static isAdminToken(token) {
+        const adminToken = process.env.ADMIN_API_TOKEN
+        if (!adminToken || !token) return false
+
+        const expected = crypto.createHash('sha256').update(adminToken).digest()
+        const actual = crypto.createHash('sha256').update(token).digest()
+        return crypto.timingSafeEqual(expected, actual)
     }
 
     // Prevent abuse by limiting redirects
     static async checkRedirectAbuse(linkId) {
         try {
-            const { data: clicks } = await supabase
-                .from('link_clicks')
-                .select('clicked_at')
-                .eq('link_id', linkId)
-                .gte('clicked_at', new Date(Date.now() - 60000).toISOString()) // Last minute
+            const recentClicks = await clicks.countSince(linkId, new Date(Date.now() - 60000)) // Last minute
 
             // Flag if more than 100 clicks per minute (possible bot)
-            if (clicks && clicks.length > 100) {
+            if (recentClicks > 100) {
                 console.log('🚨 Potential click abuse detected')
                 return false
             }
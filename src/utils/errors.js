@@ -0,0 +1,7 @@
+// Errors meant for end users start with an emoji, e.g. "❌ Invalid URL format".
+// Anything else (database errors, bugs) is logged and replaced with a generic message.
+function isUserFacingError(error) {
+    return typeof error?.message === 'string' && /^\p{Extended_Pictographic}/u.test(error.message)
+}
+
+module.exports = { isUserFacingError }
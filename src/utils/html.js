@@ -0,0 +1,11 @@
+// Escape text for use in HTML content and double-quoted attributes
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+}
+
+module.exports = { escapeHtml }
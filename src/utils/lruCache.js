@@ -0,0 +1,65 @@
+// Small least-recently-used cache with per-entry time-to-live.
+// Map keeps insertion order, so the first key is always the least recently used.
+class LRUCache {
+    constructor({ maxSize = 1000, ttlMs = 60 * 1000 } = {}) {
+        this.maxSize = maxSize
+        this.ttlMs = ttlMs
+        this.entries = new Map()
+
+        this.hits = 0
+        this.misses = 0
+        this.evictions = 0
+    }
+
+    get(key) {
+        const entry = this.entries.get(key)
+
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) this.entries.delete(key)
+            this.misses++
+            return undefined
+        }
+
+        // Move to the most recently used position
+        this.entries.delete(key)
+        this.entries.set(key, entry)
+        this.hits++
+        return entry.value
+    }
+
+    set(key, value, ttlMs = this.ttlMs) {
+        if (ttlMs <= 0) return
+
+        this.entries.delete(key)
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs })
+
+        if (this.entries.size > this.maxSize) {
+            const oldestKey = this.entries.keys().next().value
+            this.entries.delete(oldestKey)
+            this.evictions++
+        }
+    }
+
+    delete(key) {
+        return this.entries.delete(key)
+    }
+
+    clear() {
+        this.entries.clear()
+    }
+
+    getStats() {
+        const lookups = this.hits + this.misses
+        return {
+            size: this.entries.size,
+            maxSize: this.maxSize,
+            ttlMs: this.ttlMs,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups ? Number((this.hits / lookups).toFixed(3)) : 0,
+            evictions: this.evictions
+        }
+    }
+}
+
+module.exports = LRUCache
@@ -0,0 +1,92 @@
+// Time zone helpers built on Intl, used to bucket clicks by local hour/day/week.
+// Local wall-clock times are passed around as { year, month, day, hour } objects.
+
+const INTERVALS = ['hour', 'day', 'week']
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone })
+        return true
+    } catch {
+        return false
+    }
+}
+
+// Wall-clock parts of an instant in the given time zone
+function getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date)
+
+    const value = (type) => Number(parts.find(part => part.type === type).value)
+    return {
+        year: value('year'),
+        month: value('month'),
+        day: value('day'),
+        hour: value('hour'),
+        minute: value('minute'),
+        second: value('second')
+    }
+}
+
+// Offset of the time zone from UTC at the given instant, in milliseconds
+function getOffset(date, timeZone) {
+    const local = getZonedParts(date, timeZone)
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second)
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000
+}
+
+// Instant at which the given wall-clock time occurs in the time zone
+function zonedTimeToUtc({ year, month, day, hour = 0 }, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour)
+    const firstTry = guess - getOffset(new Date(guess), timeZone)
+    // Re-check in case the first guess fell on the other side of a DST change
+    return new Date(guess - getOffset(new Date(firstTry), timeZone))
+}
+
+// Start of the hour/day/week (weeks start on Monday) containing the instant, as local time
+function truncateToInterval(date, interval, timeZone) {
+    const { year, month, day, hour } = getZonedParts(date, timeZone)
+
+    if (interval === 'hour') return { year, month, day, hour }
+    if (interval === 'day') return { year, month, day, hour: 0 }
+
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+    const daysSinceMonday = (weekday + 6) % 7
+    return addToLocal({ year, month, day, hour: 0 }, 'day', -daysSinceMonday)
+}
+
+// Step a local wall-clock time by whole hours, days or weeks
+function addToLocal({ year, month, day, hour }, interval, amount = 1) {
+    const steps = { hour: [0, amount], day: [amount, 0], week: [amount * 7, 0] }[interval]
+    const shifted = new Date(Date.UTC(year, month - 1, day + steps[0], hour + steps[1]))
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours()
+    }
+}
+
+// "2026-10-19T14:00" style label for a local wall-clock time
+function formatLocal({ year, month, day, hour }) {
+    const pad = (number) => String(number).padStart(2, '0')
+    return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:00`
+}
+
+module.exports = {
+    INTERVALS,
+    isValidTimeZone,
+    getZonedParts,
+    zonedTimeToUtc,
+    truncateToInterval,
+    addToLocal,
+    formatLocal
+}
@@ -0,0 +1,5 @@
+-- Optional expiry limits for short links.
+-- A link stops redirecting once expires_at has passed or total_clicks reaches max_clicks.
+alter table shortened_links
+    add column if not exists expires_at timestamptz,
+    add column if not exists max_clicks integer check (max_clicks is null or max_clicks > 0);
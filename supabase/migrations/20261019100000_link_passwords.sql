@@ -0,0 +1,3 @@
+-- Optional password for short links, stored as "salt:scrypt-hash" (hex).
+alter table shortened_links
+    add column if not exists password_hash text;
@@ -0,0 +1,10 @@
+-- Past destinations of short links, recorded whenever the owner edits original_url.
+create table if not exists link_url_history (
+    id uuid primary key default gen_random_uuid(),
+    link_id uuid not null references shortened_links (id) on delete cascade,
+    previous_url text not null,
+    new_url text not null,
+    changed_at timestamptz not null default now()
+);
+
+create index if not exists link_url_history_link_id_idx on link_url_history (link_id, changed_at desc);
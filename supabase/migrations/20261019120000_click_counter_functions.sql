@@ -0,0 +1,48 @@
+-- Atomic click counters for shortened_links.
+-- supabase-js cannot express "total_clicks = total_clicks + 1" in an update, so
+-- the server calls this function through RPC instead of read-then-write.
+create or replace function increment_link_clicks(
+    p_link_id uuid,
+    p_total integer default 1,
+    p_unique integer default 0
+)
+returns void
+language sql
+as $$
+    update shortened_links
+    set total_clicks = total_clicks + p_total,
+        unique_clicks = unique_clicks + p_unique
+    where id = p_link_id;
+$$;
+
+-- Repair job: recompute both counters from link_clicks.
+-- Pass a link id to repair one link, or null for every link.
+-- Returns the number of links whose counters changed.
+create or replace function recompute_link_click_counters(p_link_id uuid default null)
+returns integer
+language plpgsql
+as $$
+declare
+    repaired integer;
+begin
+    with counts as (
+        select l.id,
+               count(c.id) as total_clicks,
+               count(distinct c.ip_address) as unique_clicks
+        from shortened_links l
+        left join link_clicks c on c.link_id = l.id
+        where p_link_id is null or l.id = p_link_id
+        group by l.id
+    )
+    update shortened_links s
+    set total_clicks = counts.total_clicks,
+        unique_clicks = counts.unique_clicks
+    from counts
+    where s.id = counts.id
+      and (s.total_clicks is distinct from counts.total_clicks
+           or s.unique_clicks is distinct from counts.unique_clicks);
+
+    get diagnostics repaired = row_count;
+    return repaired;
+end;
+$$;
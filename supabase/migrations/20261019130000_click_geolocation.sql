@@ -0,0 +1,7 @@
+-- Location of each click, resolved from the IP address with geoip-lite when it is recorded.
+alter table link_clicks
+    add column if not exists country text,
+    add column if not exists region text,
+    add column if not exists city text;
+
+create index if not exists link_clicks_link_id_country_idx on link_clicks (link_id, country);
@@ -0,0 +1,38 @@
+-- Richer user agent data for clicks, parsed with ua-parser-js.
+-- Crawlers and link-preview fetchers are stored with is_bot = true and are
+-- left out of total_clicks, unique_clicks and the stats breakdowns.
+alter table link_clicks
+    add column if not exists browser_version text,
+    add column if not exists os text,
+    add column if not exists device_vendor text,
+    add column if not exists is_bot boolean not null default false;
+
+-- Counter repair ignores bot traffic, matching what the server counts
+create or replace function recompute_link_click_counters(p_link_id uuid default null)
+returns integer
+language plpgsql
+as $$
+declare
+    repaired integer;
+begin
+    with counts as (
+        select l.id,
+               count(c.id) as total_clicks,
+               count(distinct c.ip_address) as unique_clicks
+        from shortened_links l
+        left join link_clicks c on c.link_id = l.id and not c.is_bot
+        where p_link_id is null or l.id = p_link_id
+        group by l.id
+    )
+    update shortened_links s
+    set total_clicks = counts.total_clicks,
+        unique_clicks = counts.unique_clicks
+    from counts
+    where s.id = counts.id
+      and (s.total_clicks is distinct from counts.total_clicks
+           or s.unique_clicks is distinct from counts.unique_clicks);
+
+    get diagnostics repaired = row_count;
+    return repaired;
+end;
+$$;
@@ -0,0 +1,43 @@
+-- Bucketed click counts for one link, aggregated in the database.
+-- Buckets are hours, days or weeks (starting Monday) of local time in p_time_zone,
+-- so daily buckets follow the viewer's midnight and survive DST changes.
+-- Empty buckets are returned with zero counts; bot hits are excluded.
+create or replace function link_click_timeseries(
+    p_link_id uuid,
+    p_from timestamptz,
+    p_to timestamptz,
+    p_interval text default 'day',
+    p_time_zone text default 'UTC'
+)
+returns table (
+    bucket_local timestamp,
+    bucket_start timestamptz,
+    total_clicks bigint,
+    unique_clicks bigint
+)
+language sql
+stable
+as $$
+    with buckets as (
+        select generate_series(
+            date_trunc(p_interval, p_from at time zone p_time_zone),
+            date_trunc(p_interval, (p_to - interval '1 microsecond') at time zone p_time_zone),
+            ('1 ' || p_interval)::interval
+        ) as local_start
+    )
+    select b.local_start,
+           b.local_start at time zone p_time_zone,
+           count(c.id),
+           count(distinct c.ip_address)
+    from buckets b
+    left join link_clicks c
+        on c.link_id = p_link_id
+       and not c.is_bot
+       and c.clicked_at >= p_from
+       and c.clicked_at < p_to
+       and date_trunc(p_interval, c.clicked_at at time zone p_time_zone) = b.local_start
+    group by b.local_start
+    order by b.local_start;
+$$;
+
+create index if not exists link_clicks_link_id_clicked_at_idx on link_clicks (link_id, clicked_at);
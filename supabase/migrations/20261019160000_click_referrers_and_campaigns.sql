@@ -0,0 +1,7 @@
+-- Traffic source data for clicks: the normalised referrer domain and the
+-- utm_source / utm_medium / utm_campaign parameters of the short link request.
+alter table link_clicks
+    add column if not exists referrer_domain text,
+    add column if not exists utm_source text,
+    add column if not exists utm_medium text,
+    add column if not exists utm_campaign text;
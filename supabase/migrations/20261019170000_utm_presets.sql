@@ -0,0 +1,11 @@
+-- Saved UTM tag sets per user, applied with "/shorten <url> utm=<name>".
+create table if not exists utm_presets (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references users (id) on delete cascade,
+    name text not null,
+    utm_source text,
+    utm_medium text,
+    utm_campaign text,
+    created_at timestamptz not null default now(),
+    unique (user_id, name)
+);
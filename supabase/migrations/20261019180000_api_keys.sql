@@ -0,0 +1,14 @@
+-- Per-user API keys for the REST API. Only a SHA-256 hash of each key is stored;
+-- key_prefix is kept in the clear so users can tell their keys apart.
+create table if not exists api_keys (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references users (id) on delete cascade,
+    name text,
+    key_prefix text not null,
+    key_hash text not null unique,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz,
+    revoked_at timestamptz
+);
+
+create index if not exists api_keys_user_id_idx on api_keys (user_id);
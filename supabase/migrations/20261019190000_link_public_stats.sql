@@ -0,0 +1,3 @@
+-- Detailed statistics are private to the link owner unless they opt in
+alter table shortened_links
+    add column if not exists public_stats boolean not null default false;
@@ -0,0 +1,4 @@
+-- Where a click came from when the short link says so, e.g. 'qr' for QR code scans
+-- (the QR codes encode the short URL with ?src=qr). Null for plain link clicks.
+alter table link_clicks
+    add column if not exists source text;
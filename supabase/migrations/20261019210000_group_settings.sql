@@ -0,0 +1,7 @@
+-- Per-group bot settings. Groups without a row use the defaults (auto-shortening off).
+create table if not exists group_settings (
+    group_jid text primary key,
+    auto_shorten boolean not null default false,
+    updated_by text,
+    updated_at timestamptz not null default now()
+);
@@ -0,0 +1,2 @@
+-- Language chosen with /lang. Null means detect it from the phone number's calling code.
+alter table users add column if not exists language text;
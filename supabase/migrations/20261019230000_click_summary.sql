@@ -0,0 +1,41 @@
+-- Grouped click counts behind /stats and the dashboard, so the app never loads every click row.
+-- One row per (dimension, value): device, browser, os, country, referrer and campaign count
+-- human clicks; bot counts bot and preview hits per crawler; today and qr are single totals.
+create or replace function link_click_summary(
+    p_link_id uuid,
+    p_today_start timestamptz
+)
+returns table (
+    dimension text,
+    value text,
+    clicks bigint
+)
+language sql
+stable
+as $$
+    with link_clicks_for_link as (
+        select * from link_clicks where link_id = p_link_id
+    )
+    select 'device', device_type, count(*) from link_clicks_for_link where not is_bot group by device_type
+    union all
+    select 'browser', coalesce(browser, 'Unknown'), count(*) from link_clicks_for_link where not is_bot group by 2
+    union all
+    select 'os', coalesce(os, 'Unknown'), count(*) from link_clicks_for_link where not is_bot group by 2
+    union all
+    select 'country', coalesce(country, 'Unknown'), count(*) from link_clicks_for_link where not is_bot group by 2
+    union all
+    select 'referrer', coalesce(referrer_domain, 'Direct'), count(*) from link_clicks_for_link where not is_bot group by 2
+    union all
+    select 'campaign',
+           concat_ws(' / ', coalesce(utm_source, '-'), coalesce(utm_medium, '-'), coalesce(utm_campaign, '-')),
+           count(*)
+    from link_clicks_for_link
+    where not is_bot and (utm_source is not null or utm_medium is not null or utm_campaign is not null)
+    group by 2
+    union all
+    select 'bot', coalesce(browser, 'Unknown'), count(*) from link_clicks_for_link where is_bot group by 2
+    union all
+    select 'today', null, count(*) from link_clicks_for_link where not is_bot and clicked_at >= p_today_start
+    union all
+    select 'qr', null, count(*) from link_clicks_for_link where not is_bot and source = 'qr';
+$$;
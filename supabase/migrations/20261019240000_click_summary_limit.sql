@@ -0,0 +1,63 @@
+-- Cap link_click_summary at the top p_limit values per dimension. Referrers and UTM tags are
+-- chosen by whoever opens the link, so without a cap the result could grow past PostgREST's
+-- max-rows and be cut off silently. The single totals (today, qr, bots) come first.
+drop function if exists link_click_summary(uuid, timestamptz);
+
+create or replace function link_click_summary(
+    p_link_id uuid,
+    p_today_start timestamptz,
+    p_limit integer default 10
+)
+returns table (
+    dimension text,
+    value text,
+    clicks bigint
+)
+language sql
+stable
+as $$
+    with link_clicks_for_link as (
+        select * from link_clicks where link_id = p_link_id
+    ),
+    totals as (
+        select 'today' as dimension, null::text as value,
+               count(*) filter (where not is_bot and clicked_at >= p_today_start) as clicks
+        from link_clicks_for_link
+        union all
+        select 'qr', null, count(*) filter (where not is_bot and source = 'qr') from link_clicks_for_link
+        union all
+        select 'bots', null, count(*) filter (where is_bot) from link_clicks_for_link
+    ),
+    grouped as (
+        select 'device' as dimension, device_type as value, count(*) as clicks
+        from link_clicks_for_link where not is_bot group by 2
+        union all
+        select 'browser', coalesce(browser, 'Unknown'), count(*) from link_clicks_for_link where not is_bot group by 2
+        union all
+        select 'os', coalesce(os, 'Unknown'), count(*) from link_clicks_for_link where not is_bot group by 2
+        union all
+        select 'country', coalesce(country, 'Unknown'), count(*) from link_clicks_for_link where not is_bot group by 2
+        union all
+        select 'referrer', coalesce(referrer_domain, 'Direct'), count(*) from link_clicks_for_link where not is_bot group by 2
+        union all
+        select 'campaign',
+               concat_ws(' / ', coalesce(utm_source, '-'), coalesce(utm_medium, '-'), coalesce(utm_campaign, '-')),
+               count(*)
+        from link_clicks_for_link
+        where not is_bot and (utm_source is not null or utm_medium is not null or utm_campaign is not null)
+        group by 2
+        union all
+        select 'bot', coalesce(browser, 'Unknown'), count(*) from link_clicks_for_link where is_bot group by 2
+    ),
+    ranked as (
+        select *, row_number() over (partition by dimension order by clicks desc, value) as rank
+        from grouped
+    )
+    select dimension, value, clicks
+    from (
+        select dimension, value, clicks, 0 as rank from totals
+        union all
+        select dimension, value, clicks, rank from ranked where rank <= p_limit
+    ) summary
+    order by rank = 0 desc, dimension, rank;
+$$;
@@ -0,0 +1,9 @@
+-- Single-use tokens (dashboard login links) that have already been used, by their jti.
+-- Rows are only needed until the token would have expired anyway.
+create table if not exists used_tokens (
+    jti text primary key,
+    expires_at timestamptz not null,
+    used_at timestamptz not null default now()
+);
+
+create index if not exists used_tokens_expires_at_idx on used_tokens (expires_at);